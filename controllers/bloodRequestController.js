@@ -3,125 +3,204 @@ const Donor = require('../models/Donor');
 const Hospital = require('../models/Hospital');
 const ResponseToken = require('../models/ResponseToken');
 const Notification = require('../models/Notification');
-const { sendSMS, getSMSTemplate, formatSMSMessage } = require('../services/smsService');
+const DispatchJob = require('../models/DispatchJob');
+const DonationHistory = require('../models/DonationHistory');
+const DonorLocation = require('../models/DonorLocation');
+const Settings = require('../models/Settings');
+const { getSMSTemplate, formatSMSMessage } = require('../services/smsService');
 const { broadcastNotification } = require('../utils/notificationStream');
-
-// Send next batch of SMS
+const { getEligibleDonorGroups, getCompatibilityRule, compareRules, isEmergency } = require('../utils/bloodCompatibility');
+const { findDonorsNearHospital } = require('../utils/donorProximity');
+const { scoreDonors } = require('../utils/donorScoring');
+const { triggerDispatch, getJobState } = require('../utils/batchScheduler');
+const { computeDispatchPolicy } = require('../utils/dispatchPolicy');
+const { isWithinWindow, nextAllowedTime, TIMEZONE } = require('../utils/quietHours');
+const { canTransition, applyStatus, closeRequest, closeIfActive } = require('../utils/requestLifecycle');
+const { templatePriority, buildTemplateVars } = require('../utils/smsTemplate');
+const { enqueueMessages, processOutbox } = require('../utils/outboxWorker');
+const { withTransaction } = require('../utils/transaction');
+const { buildResponseUrl, generateResponseToken, resolveResponseToken, TOKEN_ERROR_MESSAGES } = require('../utils/responseLink');
+const { prepareShortLink, saveShortLinks } = require('../utils/shortLinks');
+const { SMS_ALLOWED } = require('../utils/consent');
+const { eligibleDonorFilter } = require('../utils/eligibility');
+const { recordDonorResponse, RESPONSE_ERRORS } = require('../utils/donorResponses');
+const { parseNumber, hasPoint, haversineKm } = require('../utils/geo');
+const { speedFor, etaMinutes } = require('../utils/eta');
+const { subscribe, THROTTLE_MS, ARRIVAL_RADIUS_KM } = require('../utils/locationWatcher');
+
+// How many donors we want in range per unit requested before widening the search radius
+const DONORS_PER_UNIT = 5;
+
+// Send next batch of SMS.
+// Resolves to { done, reason } when nothing more should be sent for this request,
+// otherwise { done: false, sent, nextRunAt } so the scheduler knows when to come back.
 const sendNextBatch = async (requestId) => {
-  try {
-    const request = await BloodRequest.findById(requestId).populate('hospitalId');
-    if (!request) return;
+  const request = await BloodRequest.findById(requestId).populate('hospitalId');
+  if (!request) return { done: true, reason: 'not_found' };
 
-    // Check if request is already fulfilled or cancelled
-    if (request.status === 'fulfilled' || request.status === 'cancelled' || request.status === 'expired') {
-      return;
-    }
-
-    // Check if queue is empty
-    if (request.remainingDonorsQueue.length === 0) {
-      console.log(`[Batch] No more donors in queue for request ${requestId}`);
-      return;
-    }
-
-    const batchSize = request.batchSize || 1;
-
-    // Extract batch
-    const nextBatchIds = request.remainingDonorsQueue.slice(0, batchSize);
+  // Check if request is already fulfilled or cancelled
+  if (request.status !== 'active') {
+    return { done: true, reason: request.status };
+  }
+  if (request.confirmedUnits >= request.quantity) {
+    return { done: true, reason: 'fulfilled' };
+  }
 
-    // Remove from queue and add to notified
-    request.remainingDonorsQueue = request.remainingDonorsQueue.slice(batchSize);
-    request.notifiedDonors.push(...nextBatchIds);
+  // Check if queue is empty
+  if (request.remainingDonorsQueue.length === 0) {
+    console.log(`[Batch] No more donors in queue for request ${requestId}`);
+    return { done: true, reason: 'queue_empty' };
+  }
 
-    // Set batch tracking
-    request.batchSentAt = new Date();
-    request.batchInProgress = true;
+  // Hold non-emergency batches outside the configured notification hours
+  const settings = await Settings.getSettings();
+  const now = new Date();
+  const { notificationStartTime, notificationEndTime, emergencyOverride } = settings;
+  const overridden = emergencyOverride && isEmergency(request.urgency);
+  if (!overridden && !isWithinWindow(now, notificationStartTime, notificationEndTime)) {
+    const nextRunAt = nextAllowedTime(now, notificationStartTime, notificationEndTime);
+    console.log(`[Batch] Quiet hours: deferring request ${requestId} until ${nextRunAt.toISOString()}`);
+    try {
+      const notif = await Notification.create({
+        hospitalId: request.hospitalId._id,
+        type: 'warning',
+        title: 'Batch Deferred (Quiet Hours)',
+        message: `Donor SMS for ${request.bloodGroup} request held until ${nextRunAt.toLocaleString('en-IN', { timeZone: TIMEZONE })} (notification hours ${notificationStartTime}-${notificationEndTime}).`,
+        bloodRequestId: request._id,
+        meta: { bloodRequestId: request._id, deferredUntil: nextRunAt }
+      });
+      broadcastNotification(notif);
+    } catch (e) {
+      console.error('Failed to create notification', e);
+    }
+    return { done: false, sent: 0, deferredUntil: nextRunAt, nextRunAt };
+  }
 
-    await request.save();
+  // Batch size and window adapt to urgency, units still needed, deadline and acceptance so far
+  const policy = computeDispatchPolicy(request);
+  request.batchSize = policy.batchSize;
+  request.responseWindow = policy.responseWindow;
+  request.dispatchPolicy = policy;
+  const batchSize = policy.batchSize;
+
+  // Extract batch
+  const nextBatchIds = request.remainingDonorsQueue.slice(0, batchSize);
+  const donors = await Donor.find({ _id: { $in: nextBatchIds } });
+  const hospital = request.hospitalId;
+
+  // One template lookup per language in the batch
+  const templates = new Map();
+  const templateFor = (language) => {
+    if (!templates.has(language)) {
+      templates.set(language, getSMSTemplate(templatePriority(request.urgency), language));
+    }
+    return templates.get(language);
+  };
+  const escalateAt = new Date(now.getTime() + policy.responseWindow * 60 * 1000);
+
+  // Build every donor's token and message before touching the request
+  const tokens = [];
+  const links = [];
+  const messages = [];
+  for (const donor of donors) {
+    const donorPhone = donor.phoneNumber || donor["Mobile No"] || donor.phone;
+    const donorName = donor["Student Name"] || donor.name || donor._id;
+    // Queued before they replied STOP
+    if (!donorPhone || donor.smsOptedOut) continue;
+
+    // Each donor gets their own unguessable link; the token is what identifies them
+    const token = generateResponseToken();
+    const shortLink = prepareShortLink({
+      targetUrl: buildResponseUrl(request._id, token),
+      requestId: request._id,
+      donorId: donor._id,
+      token
+    });
+    if (shortLink.doc) links.push(shortLink.doc);
+    tokens.push({
+      token,
+      requestId: request._id,
+      donorId: donor._id,
+      channels: [{ channel: 'sms', at: now, status: 'queued' }],
+      nextEscalationAt: escalateAt
+    });
 
-    console.log(`\n📦 === SENDING BATCH SMS ===`);
-    console.log(`Request ID: ${requestId}`);
-    console.log(`Batch Size: ${nextBatchIds.length}`);
-
-    // Fetch donor details
-    const donors = await Donor.find({ _id: { $in: nextBatchIds } });
-    const hospital = request.hospitalId;
-
-    let smsSuccessCount = 0;
-
-    // Process batch
-    const smsPromises = donors.map(async (donor) => {
-      try {
-        const donorPhone = donor.phoneNumber || donor["Mobile No"] || donor.phone;
-        const donorName = donor["Student Name"] || donor.name || donor._id;
-
-        if (!donorPhone) return;
-
-        // Generate tracking token
-        const responseToken = Math.random().toString(36).substr(2, 8);
-
-        await ResponseToken.create({
-          token: responseToken,
-          requestId: request._id,
-          donorId: donor._id
-        });
-
-        // Prepare SMS content
-        let urgencyText;
-        if (request.urgency === 'pregnancy') urgencyText = 'PREGNANCY EMERGENCY - URGENT';
-        else if (request.urgency === 'high') urgencyText = 'HIGH PRIORITY - EMERGENCY';
-        else if (request.urgency === 'medium') urgencyText = 'MEDIUM PRIORITY';
-        else urgencyText = 'LOW PRIORITY';
-
-        const priority = (request.urgency === 'high' || request.urgency === 'pregnancy') ? 'high' : 'normal';
-        const smsTemplate = await getSMSTemplate(priority);
-
-        const templateVars = {
-          hospital: hospital.name,
-          bloodType: request.bloodGroup,
-          quantity: request.quantity,
-          urgency: urgencyText,
-          donorName: donorName,
-          responseUrl: `https://innovate-tracker2.vercel.app/${request._id}`,
-        };
-
-        let message;
-        if (request.urgency === 'pregnancy') {
-          message = `PREGNANCY EMERGENCY: ${request.quantity} units ${request.bloodGroup} blood needed URGENTLY for pregnant patient at ${hospital.name}. Please respond: ${templateVars.responseUrl}`;
-        } else {
-          message = formatSMSMessage(smsTemplate, templateVars);
-          if (!message.includes('http') && !message.includes('{responseUrl}')) {
-            message += ` Respond: ${templateVars.responseUrl}`;
-          }
-        }
-
-        const smsResult = await sendSMS(donorPhone, message);
-
-        if (smsResult.success) {
-          smsSuccessCount++;
-          try {
-            const notif = await Notification.create({
-              hospitalId: hospital.id,
-              type: 'info',
-              title: 'SMS Sent (Batch)',
-              message: `SMS sent to ${donorName} (${donorPhone})`,
-              meta: { bloodRequestId: request._id, donorId: donor._id, smsId: smsResult.sid }
-            });
-            broadcastNotification(notif);
-          } catch (e) {
-            console.error('Failed to create notification', e);
-          }
-        }
-      } catch (err) {
-        console.error(`Failed to process donor ${donor._id} in batch:`, err);
-      }
+    const smsTemplate = await templateFor(donor.preferredLanguage || 'en');
+    messages.push({
+      to: donorPhone,
+      body: formatSMSMessage(smsTemplate, buildTemplateVars(request, {
+        hospitalName: hospital.name,
+        donorName,
+        responseUrl: shortLink.url
+      })),
+      donorId: donor._id,
+      requestId: request._id,
+      kind: 'blood_request'
     });
+  }
 
-    await Promise.allSettled(smsPromises);
-    console.log(`✅ Batch complete. Sent: ${smsSuccessCount}/${donors.length}`);
+  // Remove from queue and add to notified
+  request.remainingDonorsQueue = request.remainingDonorsQueue.slice(batchSize);
+  request.notifiedDonors.push(...nextBatchIds);
+
+  // Set batch tracking
+  request.batchSentAt = now;
+  request.batchInProgress = true;
+
+  // Moving donors to notified and queueing their SMS commit together;
+  // the outbox worker delivers and retries, requeueing donors it cannot reach
+  await withTransaction(async (session) => {
+    await request.save({ session });
+    await ResponseToken.insertMany(tokens, session ? { session } : {});
+    await saveShortLinks(links, session);
+    await enqueueMessages(messages, session);
+  });
+  processOutbox();
+
+  console.log(`\n📦 === BATCH SMS QUEUED ===`);
+  console.log(`Request ID: ${requestId}`);
+  console.log(`Batch Size: ${nextBatchIds.length}, messages queued: ${messages.length}`);
+
+  const windowMinutes = request.responseWindow;
+  return {
+    done: false,
+    sent: messages.length,
+    nextRunAt: new Date(request.batchSentAt.getTime() + windowMinutes * 60 * 1000)
+  };
+};
 
-  } catch (error) {
-    console.error('Error in sendNextBatch:', error);
-  }
+// Compatible, eligible donors for a request: best compatibility rule first, then highest score
+const buildDonorQueue = async (bloodRequest, hospital) => {
+  const { bloodGroup, urgency, quantity } = bloodRequest;
+
+  // Donors who gave blood within the donation interval are not eligible yet
+  const query = {
+    ...SMS_ALLOWED,
+    ...eligibleDonorFilter(),
+    bloodGroup: { $in: getEligibleDonorGroups(bloodGroup, urgency) }
+  };
+
+  const { radiusKm, results } = await findDonorsNearHospital(hospital, query, {
+    minDonors: quantity * DONORS_PER_UNIT
+  });
+
+  const matches = results
+    .map(({ donor, distanceKm }) => ({
+      donor,
+      distanceKm,
+      rule: getCompatibilityRule(bloodGroup, donor.bloodGroup, urgency)
+    }))
+    .filter(match => match.rule);
+
+  const scores = await scoreDonors(matches, { radiusKm });
+  matches.forEach(match => {
+    const { score, breakdown } = scores.get(String(match.donor._id));
+    match.score = score;
+    match.scoreBreakdown = breakdown;
+  });
+  matches.sort((a, b) => compareRules(a.rule, b.rule) || b.score - a.score);
+
+  return { radiusKm, matches };
 };
 
 // Create a new blood request
@@ -140,29 +219,31 @@ const createBloodRequest = async (req, res) => {
       patientAge,
       patientCondition,
       confirmedUnits: 0,
-      batchSize: 1,
-      responseWindow: 2,
       batchInProgress: false,
       status: 'active'
     });
+    applyStatus(bloodRequest, 'active', { by: hospital.id, byRole: hospital.role, reason: 'created' });
 
-    const allDonors = await Donor.find({});
-    const matchingDonors = allDonors.filter(donor => {
-      const donorBloodGroup = donor.bloodGroup || donor["Blood Group"];
-      if (donor.lastDonationDate) {
-        const lastDonation = new Date(donor.lastDonationDate);
-        const threeMonthsAgo = new Date();
-        threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
-        if (lastDonation > threeMonthsAgo) return false;
-      }
-      const normalizedRequested = bloodGroup.replace(/\s+/g, '').toUpperCase();
-      const normalizedDonor = donorBloodGroup ? donorBloodGroup.replace(/\s+/g, '').toUpperCase() : '';
-      return normalizedDonor === normalizedRequested;
-    });
+    const hospitalDoc = await Hospital.findById(hospital.id);
+    const { radiusKm, matches } = await buildDonorQueue(bloodRequest, hospitalDoc);
 
-    matchingDonors.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
-    const donorIds = matchingDonors.map(d => d._id);
+    const donorIds = matches.map(m => m.donor._id);
     bloodRequest.remainingDonorsQueue = donorIds;
+    bloodRequest.searchRadiusKm = radiusKm;
+    bloodRequest.donorMatches = matches.map(m => ({
+      donorId: m.donor._id,
+      donorBloodGroup: m.donor.bloodGroup,
+      rule: m.rule,
+      distanceKm: m.distanceKm,
+      score: m.score,
+      scoreBreakdown: m.scoreBreakdown
+    }));
+    const exactCount = matches.filter(m => m.rule === 'exact').length;
+
+    const policy = computeDispatchPolicy(bloodRequest);
+    bloodRequest.batchSize = policy.batchSize;
+    bloodRequest.responseWindow = policy.responseWindow;
+    bloodRequest.dispatchPolicy = policy;
 
     await bloodRequest.save();
 
@@ -171,13 +252,17 @@ const createBloodRequest = async (req, res) => {
         hospitalId: hospital.id,
         type: 'info',
         title: 'Blood Request Created',
-        message: `${quantity} unit(s) of ${bloodGroup} requested. Queued ${donorIds.length} donors.`,
+        message: `${quantity} unit(s) of ${bloodGroup} requested. Queued ${donorIds.length} donors (${exactCount} exact match)${radiusKm ? ` within ${radiusKm} km` : ''}.`,
         meta: { bloodRequestId: bloodRequest._id }
       });
       broadcastNotification(notification);
     } catch (e) { }
 
-    sendNextBatch(bloodRequest._id);
+    try {
+      await triggerDispatch(bloodRequest._id);
+    } catch (e) {
+      console.error('Failed to schedule first batch', e);
+    }
 
     res.status(201).json({
       success: true,
@@ -211,14 +296,12 @@ const getBloodRequestById = async (req, res) => {
     const isExpired = now > new Date(request.requiredBy);
     const isFull = request.confirmedUnits >= request.quantity;
 
-    // Check if we need to update status automatically
+    // Close it now rather than waiting for the sweeper; whichever claims it first sends the notices
     if (request.status === 'active') {
       if (isFull) {
-        request.status = 'fulfilled';
-        await request.save();
+        await closeIfActive(request._id, 'fulfilled', { reason: 'all units confirmed' });
       } else if (isExpired) {
-        request.status = 'expired';
-        await request.save();
+        await closeIfActive(request._id, 'expired', { reason: 'requiredBy passed' });
       }
     }
 
@@ -237,23 +320,75 @@ const getBloodRequestById = async (req, res) => {
   }
 };
 
+// Reserve one unit on an active, unexpired request and close it once full.
+// Resolves to the updated request, or null when it is already full, closed or past requiredBy.
+// Shared by the tracker page confirmation and inbound SMS replies.
+const confirmUnit = async (requestId) => {
+  const now = new Date();
+
+  // Atomic update to prevent race conditions and overbooking
+  // Criteria: ID matches, status is active, confirmed < quantity, and not expired
+  const updatedRequest = await BloodRequest.findOneAndUpdate(
+    {
+      _id: requestId,
+      status: 'active',
+      $expr: { $lt: ['$confirmedUnits', '$quantity'] },
+      requiredBy: { $gte: now }
+    },
+    { $inc: { confirmedUnits: 1 } },
+    { new: true }
+  );
+
+  if (!updatedRequest) return null;
+
+  // After increment, check if it just became fulfilled
+  if (updatedRequest.confirmedUnits >= updatedRequest.quantity) {
+    return (await closeIfActive(updatedRequest._id, 'fulfilled', { reason: 'all units confirmed' })) || updatedRequest;
+  }
+  return updatedRequest;
+};
+
+// Donors confirm through their response link token, which identifies both them and
+// the request. Hospital staff (JWT route) may confirm a unit for their own request directly.
 const confirmDonation = async (req, res) => {
   try {
-    const { requestId } = req.body;
-    const now = new Date();
+    const { requestId, token } = req.body;
+
+    if (token) {
+      const resolved = await resolveResponseToken(token);
+      if (resolved.error) {
+        return res.status(resolved.status).json({ success: false, reason: resolved.error, message: TOKEN_ERROR_MESSAGES[resolved.error] });
+      }
+      if (requestId && String(requestId) !== String(resolved.token.requestId)) {
+        return res.status(400).json({ success: false, message: 'Response link does not belong to this blood request.' });
+      }
+
+      // Same path as an "accept" from the donor response endpoint
+      const result = await recordDonorResponse(resolved.token, 'accepted', { channel: 'web' });
+      if (result.error) {
+        const { status, message } = RESPONSE_ERRORS[result.error];
+        return res.status(status).json({ success: false, reason: result.error, message });
+      }
+      return res.json({
+        success: true,
+        message: 'Donation confirmed successfully.',
+        data: await BloodRequest.findById(result.request._id),
+        donorId: result.donor._id
+      });
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'A response link token is required.' });
+    }
+    const request = await BloodRequest.findById(requestId, 'hospitalId');
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Blood request not found' });
+    }
+    if (req.user.role !== 'admin' && String(request.hospitalId) !== String(req.user.id)) {
+      return res.status(403).json({ success: false, message: 'Not allowed to manage this blood request' });
+    }
 
-    // Atomic update to prevent race conditions and overbooking
-    // Criteria: ID matches, status is active, confirmed < quantity, and not expired
-    const updatedRequest = await BloodRequest.findOneAndUpdate(
-      {
-        _id: requestId,
-        status: 'active',
-        $expr: { $lt: ['$confirmedUnits', '$quantity'] },
-        requiredBy: { $gte: now }
-      },
-      { $inc: { confirmedUnits: 1 } },
-      { new: true }
-    );
+    const updatedRequest = await confirmUnit(requestId);
 
     if (!updatedRequest) {
       return res.status(400).json({
@@ -262,12 +397,6 @@ const confirmDonation = async (req, res) => {
       });
     }
 
-    // After increment, check if it just became fulfilled
-    if (updatedRequest.confirmedUnits >= updatedRequest.quantity) {
-      updatedRequest.status = 'fulfilled';
-      await updatedRequest.save();
-    }
-
     res.json({
       success: true,
       message: 'Donation confirmed successfully.',
@@ -278,11 +407,374 @@ const confirmDonation = async (req, res) => {
   }
 };
 
+// Loads a request the caller may manage: its own hospital, or any admin
+const findManagedRequest = async (req, res) => {
+  const request = await BloodRequest.findById(req.params.id);
+  if (!request) {
+    res.status(404).json({ success: false, message: 'Blood request not found' });
+    return null;
+  }
+  if (req.user.role !== 'admin' && String(request.hospitalId) !== String(req.user.id)) {
+    res.status(403).json({ success: false, message: 'Not allowed to manage this blood request' });
+    return null;
+  }
+  return request;
+};
+
+const rejectTransition = (res, request, to) => res.status(409).json({
+  success: false,
+  message: `Cannot move a ${request.status} request to ${to}`
+});
+
+const actor = (req, reason) => ({ by: req.user.id, byRole: req.user.role, reason });
+
+const cancelBloodRequest = async (req, res) => {
+  try {
+    const request = await findManagedRequest(req, res);
+    if (!request) return;
+    if (!canTransition(request.status, 'cancelled')) return rejectTransition(res, request, 'cancelled');
+
+    await closeRequest(request, 'cancelled', actor(req, req.body.reason || 'cancelled by hospital'));
+    res.json({ success: true, message: 'Blood request cancelled.', data: request });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Push requiredBy later on an active request
+const extendBloodRequest = async (req, res) => {
+  try {
+    const request = await findManagedRequest(req, res);
+    if (!request) return;
+
+    const requiredBy = new Date(req.body.requiredBy);
+    if (isNaN(requiredBy.getTime()) || requiredBy <= new Date() || requiredBy <= request.requiredBy) {
+      return res.status(400).json({ success: false, message: 'requiredBy must be a future date later than the current one' });
+    }
+    if (request.status !== 'active') {
+      return res.status(409).json({ success: false, message: `Cannot extend a ${request.status} request; reopen it instead` });
+    }
+
+    request.requiredBy = requiredBy;
+    await request.save();
+    res.json({ success: true, message: 'Blood request extended.', data: request });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Change the number of units; may fulfil the request or bring a fulfilled one back to active
+const updateBloodRequestQuantity = async (req, res) => {
+  try {
+    const request = await findManagedRequest(req, res);
+    if (!request) return;
+
+    const quantity = Number(req.body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ success: false, message: 'quantity must be a positive integer' });
+    }
+    if (quantity < request.confirmedUnits) {
+      return res.status(400).json({ success: false, message: `quantity cannot be below the ${request.confirmedUnits} unit(s) already confirmed` });
+    }
+    if (request.status !== 'active' && request.status !== 'fulfilled') {
+      return res.status(409).json({ success: false, message: `Cannot change quantity of a ${request.status} request` });
+    }
+
+    const previous = request.quantity;
+    request.quantity = quantity;
+    const reason = `quantity changed from ${previous} to ${quantity}`;
+
+    if (request.status === 'active' && quantity <= request.confirmedUnits) {
+      await closeRequest(request, 'fulfilled', actor(req, reason));
+    } else if (request.status === 'fulfilled' && quantity > request.confirmedUnits) {
+      if (new Date(request.requiredBy) <= new Date()) {
+        return res.status(409).json({ success: false, message: 'Request is past requiredBy; reopen it with a new date instead' });
+      }
+      applyStatus(request, 'active', actor(req, reason));
+      await request.save();
+      await triggerDispatch(request._id);
+    } else {
+      await request.save();
+    }
+
+    res.json({ success: true, message: 'Blood request quantity updated.', data: request });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Reopen an expired request with a new requiredBy; refills the queue if it ran dry
+const reopenBloodRequest = async (req, res) => {
+  try {
+    const request = await findManagedRequest(req, res);
+    if (!request) return;
+    if (request.status !== 'expired') {
+      return rejectTransition(res, request, 'active');
+    }
+
+    const requiredBy = new Date(req.body.requiredBy);
+    if (isNaN(requiredBy.getTime()) || requiredBy <= new Date()) {
+      return res.status(400).json({ success: false, message: 'A future requiredBy is required to reopen a request' });
+    }
+    request.requiredBy = requiredBy;
+
+    if (request.remainingDonorsQueue.length === 0) {
+      const hospital = await Hospital.findById(request.hospitalId);
+      const { matches } = await buildDonorQueue(request, hospital);
+      const alreadyNotified = new Set(request.notifiedDonors.map(String));
+      request.remainingDonorsQueue = matches
+        .map(m => m.donor._id)
+        .filter(id => !alreadyNotified.has(String(id)));
+    }
+
+    applyStatus(request, 'active', actor(req, req.body.reason || 'reopened'));
+    await request.save();
+    await triggerDispatch(request._id);
+
+    res.json({ success: true, message: 'Blood request reopened.', data: request });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+const getBloodRequestHistory = async (req, res) => {
+  try {
+    const request = await findManagedRequest(req, res);
+    if (!request) return;
+    res.json({ success: true, data: request.statusHistory });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Where each notified donor stands: accepted, declined, opened the link but
+// did not respond, or notified with no sign of activity yet
+const getDonorResponses = async (req, res) => {
+  try {
+    const request = await findManagedRequest(req, res);
+    if (!request) return;
+
+    const [tokens, donors] = await Promise.all([
+      ResponseToken.find({ requestId: request._id }).sort({ createdAt: 1 }).lean(),
+      Donor.find({ _id: { $in: request.notifiedDonors } }, 'name phone bloodGroup').lean()
+    ]);
+
+    // A donor can have several tokens (e.g. requeued); the latest one counts
+    const latestToken = new Map(tokens.map(token => [String(token.donorId), token]));
+    const opened = new Set(request.openedDonors.map(String));
+
+    const counts = { accepted: 0, declined: 0, opened_no_response: 0, notified: 0 };
+    const data = donors.map(donor => {
+      const token = latestToken.get(String(donor._id));
+      let state = 'notified';
+      if (token && token.response) state = token.response;
+      else if (opened.has(String(donor._id)) || (token && token.openedAt)) state = 'opened_no_response';
+      counts[state]++;
+
+      return {
+        donorId: donor._id,
+        name: donor.name,
+        phone: donor.phone,
+        bloodGroup: donor.bloodGroup,
+        state,
+        openedAt: token ? token.openedAt : null,
+        respondedAt: token ? token.respondedAt : null,
+        responseChannel: token ? token.responseChannel : null,
+        channels: token ? token.channels : []
+      };
+    });
+
+    res.json({ success: true, counts, data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Ascending, with unknown values (no location yet) at the end
+const nullsLast = (a, b) => {
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+  if (b === null || b === undefined) return -1;
+  return a - b;
+};
+const newestFirst = (date) => (date ? -new Date(date).getTime() : null);
+
+const RESPONDER_SORTS = {
+  eta: (a, b) => nullsLast(a.etaMinutes, b.etaMinutes),
+  distance: (a, b) => nullsLast(a.distanceKm, b.distanceKm),
+  updated: (a, b) => nullsLast(newestFirst(a.locationUpdatedAt), newestFirst(b.locationUpdatedAt))
+};
+
+// Donors who accepted or are sharing their location, with straight-line distance to
+// the hospital and an ETA at the urgency's average speed.
+// Query: ?sort=eta|distance|updated&status=accepted,completed,sharing&maxDistanceKm=&maxEtaMinutes=&withLocation=true
+const getResponders = async (req, res) => {
+  try {
+    const { status, maxDistanceKm, maxEtaMinutes, withLocation } = req.query;
+    const limits = {};
+    for (const [name, value] of Object.entries({ maxDistanceKm, maxEtaMinutes })) {
+      if (value === undefined) continue;
+      limits[name] = parseNumber(value);
+      if (limits[name] === null || limits[name] < 0) {
+        return res.status(400).json({ success: false, message: `${name} must be a non-negative number` });
+      }
+    }
+
+    const request = await findManagedRequest(req, res);
+    if (!request) return;
+
+    const [hospital, settings, history, locations] = await Promise.all([
+      Hospital.findById(request.hospitalId, 'name location'),
+      Settings.getSettings(),
+      DonationHistory.find({ bloodRequestId: request._id, status: { $in: ['accepted', 'completed', 'declined'] } }).lean(),
+      DonorLocation.find({ requestId: request._id }).lean()
+    ]);
+
+    // A donor who shared their location and then declined is no longer coming
+    const declined = new Set(history.filter(entry => entry.status === 'declined').map(entry => String(entry.donorId)));
+    const donorIds = [...new Set([
+      ...history.map(entry => String(entry.donorId)),
+      ...locations.map(loc => String(loc.donorId))
+    ])].filter(id => !declined.has(id));
+    const donors = await Donor.find({ _id: { $in: donorIds } }, 'name phone bloodGroup').lean();
+    const donorById = new Map(donors.map(donor => [String(donor._id), donor]));
+    const historyByDonor = new Map(history.map(entry => [String(entry.donorId), entry]));
+    const locationByDonor = new Map(locations.map(loc => [String(loc.donorId), loc]));
+
+    const speedKmh = speedFor(settings, request.urgency);
+    const hospitalPoint = hasPoint(hospital) ? hospital.location : null;
+
+    let responders = donorIds.map(id => {
+      const donor = donorById.get(id) || {};
+      const entry = historyByDonor.get(id);
+      const loc = locationByDonor.get(id);
+      const distanceKm = hospitalPoint && hasPoint(loc)
+        ? Math.round(haversineKm(hospitalPoint, loc.location) * 10) / 10
+        : null;
+
+      return {
+        donorId: id,
+        name: donor.name || (entry && entry.donorName),
+        phone: donor.phone || (entry && entry.donorPhone),
+        bloodGroup: donor.bloodGroup || (entry && entry.donorBloodGroup),
+        status: entry ? entry.status : 'sharing',
+        acceptedAt: entry ? entry.acceptedAt : null,
+        statedArrivalAt: entry ? entry.expectedArrivalAt || null : null,
+        location: loc ? { lat: loc.location.coordinates[1], lng: loc.location.coordinates[0], accuracy: loc.accuracy } : null,
+        locationUpdatedAt: loc ? loc.timestamp : null,
+        distanceKm,
+        etaMinutes: etaMinutes(distanceKm, speedKmh)
+      };
+    });
+
+    if (status) {
+      const wanted = String(status).split(',');
+      responders = responders.filter(r => wanted.includes(r.status));
+    }
+    if (withLocation === 'true') responders = responders.filter(r => r.location);
+    if (limits.maxDistanceKm !== undefined) responders = responders.filter(r => r.distanceKm !== null && r.distanceKm <= limits.maxDistanceKm);
+    if (limits.maxEtaMinutes !== undefined) responders = responders.filter(r => r.etaMinutes !== null && r.etaMinutes <= limits.maxEtaMinutes);
+
+    const sortKey = RESPONDER_SORTS[req.query.sort] ? req.query.sort : 'eta';
+    responders.sort(RESPONDER_SORTS[sortKey]);
+
+    res.json({
+      success: true,
+      sort: sortKey,
+      speedKmh,
+      hospitalLocated: Boolean(hospitalPoint),
+      data: responders
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// SSE stream of donor positions for one request. Events: position (with distanceKm/etaMinutes),
+// arrival, completed (donor donated, no more positions) and end (request closed).
+// EventSource can't set headers, so the JWT may come as ?access_token=
+const streamDonorLocations = async (req, res) => {
+  try {
+    const request = await findManagedRequest(req, res);
+    if (!request) return;
+    if (request.status !== 'active') {
+      return res.status(409).json({ success: false, message: `Blood request is ${request.status}` });
+    }
+
+    const [hospital, settings, locations, completed] = await Promise.all([
+      Hospital.findById(request.hospitalId, 'location'),
+      Settings.getSettings(),
+      DonorLocation.find({ requestId: request._id }).lean(),
+      DonationHistory.distinct('donorId', { bloodRequestId: request._id, status: 'completed' })
+    ]);
+
+    const stream = subscribe(request._id, {
+      hospitalPoint: hasPoint(hospital) ? hospital.location : null,
+      speedKmh: speedFor(settings, request.urgency)
+    }, req, res);
+
+    // Start the client off with where everyone currently is
+    const done = new Set(completed.map(String));
+    done.forEach(donorId => stream.markCompleted(donorId));
+    stream.send('hello', { requestId: String(request._id), throttleMs: THROTTLE_MS, arrivalRadiusKm: ARRIVAL_RADIUS_KM });
+    locations
+      .filter(loc => hasPoint(loc) && !done.has(String(loc.donorId)))
+      .forEach(loc => stream.send('position', stream.position(loc)));
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// All dispatch jobs, optionally filtered by ?status=scheduled|running|completed|failed
+const listDispatchJobs = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    // Hospitals only see jobs for their own requests
+    if (req.user.role !== 'admin') {
+      query.requestId = { $in: await BloodRequest.distinct('_id', { hospitalId: req.user.id }) };
+    }
+    const jobs = await DispatchJob.find(query)
+      .populate('requestId', 'bloodGroup quantity confirmedUnits urgency status hospitalId')
+      .sort({ runAt: 1 })
+      .limit(200);
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Where the request is in batch dispatch: next run time, batches sent, lease holder
+const getDispatchJob = async (req, res) => {
+  try {
+    const request = await findManagedRequest(req, res);
+    if (!request) return;
+
+    const job = await getJobState(request._id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'No dispatch job for this request' });
+    }
+    res.json({ success: true, data: job });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
 
 module.exports = {
   createBloodRequest,
   getAllBloodRequests,
   getBloodRequestById,
   confirmDonation,
+  confirmUnit,
+  cancelBloodRequest,
+  extendBloodRequest,
+  updateBloodRequestQuantity,
+  reopenBloodRequest,
+  getBloodRequestHistory,
+  getDonorResponses,
+  getResponders,
+  streamDonorLocations,
+  listDispatchJobs,
+  getDispatchJob,
   sendNextBatch
 };
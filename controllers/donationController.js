@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const Donor = require('../models/Donor');
+const DonationHistory = require('../models/DonationHistory');
+const ResponseToken = require('../models/ResponseToken');
+const Notification = require('../models/Notification');
+const { broadcastNotification } = require('../utils/notificationStream');
+const { closeIfActive } = require('../utils/requestLifecycle');
+const { withTransaction } = require('../utils/transaction');
+const { publishDonationCompleted } = require('../utils/locationWatcher');
+
+// A donor can't be marked as having donated twice inside this window
+const DONATION_COOLDOWN_HOURS = Number(process.env.DONATION_COOLDOWN_HOURS) || 24;
+
+const donationError = (status, message) => Object.assign(new Error(message), { status });
+
+// Hospital staff record that a donor actually gave blood for a request.
+// Body: { requestId, donorId, notes? }
+const markDonation = async (req, res) => {
+  try {
+    const { requestId, donorId, notes } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(requestId) || !mongoose.Types.ObjectId.isValid(donorId)) {
+      return res.status(400).json({ success: false, message: 'Valid requestId and donorId are required' });
+    }
+
+    const request = await BloodRequest.findById(requestId);
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Blood request not found' });
+    }
+    if (req.user.role !== 'admin' && String(request.hospitalId) !== String(req.user.id)) {
+      return res.status(403).json({ success: false, message: 'Not allowed to manage this blood request' });
+    }
+    if (request.status === 'cancelled') {
+      return res.status(409).json({ success: false, message: 'Cannot record a donation for a cancelled request' });
+    }
+
+    const now = new Date();
+    const cooldownStart = new Date(now.getTime() - DONATION_COOLDOWN_HOURS * 60 * 60 * 1000);
+
+    const history = await withTransaction(async (session) => {
+      // One donation per donor per request, however long ago it was recorded
+      const alreadyDonated = await DonationHistory.exists({
+        donorId: String(donorId),
+        bloodRequestId: request._id,
+        status: 'completed'
+      }).session(session);
+      if (alreadyDonated) {
+        throw donationError(409, 'This donor has already been marked as donated for this request');
+      }
+
+      // The cooldown check and the lastDonationDate update are one atomic write,
+      // so two simultaneous clicks can't both succeed
+      const donor = await Donor.findOneAndUpdate(
+        {
+          _id: donorId,
+          $or: [{ lastDonationDate: null }, { lastDonationDate: { $lte: cooldownStart } }]
+        },
+        { $set: { lastDonationDate: now } },
+        { new: true, session }
+      );
+      if (!donor) {
+        const exists = await Donor.exists({ _id: donorId }).session(session);
+        if (!exists) throw donationError(404, 'Donor not found');
+        throw donationError(409, `Donor already has a donation recorded in the last ${DONATION_COOLDOWN_HOURS} hours`);
+      }
+
+      const set = {
+        hospitalId: request.hospitalId,
+        donorName: donor.name,
+        donorPhone: donor.phone,
+        donorBloodGroup: donor.bloodGroup,
+        status: 'completed',
+        completedAt: now
+      };
+      if (notes) set.notes = String(notes).slice(0, 1000);
+
+      return DonationHistory.findOneAndUpdate(
+        { donorId: String(donor._id), bloodRequestId: request._id },
+        { $set: set, $setOnInsert: { acceptedAt: now } },
+        { upsert: true, new: true, setDefaultsOnInsert: true, session }
+      );
+    });
+
+    // confirmedUnits counts donors who committed (accepted) or donated; a walk-in who
+    // never accepted through a link would otherwise be missing from it
+    const committed = await DonationHistory.countDocuments({
+      bloodRequestId: request._id,
+      status: { $in: ['accepted', 'completed'] }
+    });
+    let updated = await BloodRequest.findOneAndUpdate(
+      { _id: request._id },
+      { $max: { confirmedUnits: committed } },
+      { new: true }
+    );
+    if (updated.status === 'active' && updated.confirmedUnits >= updated.quantity) {
+      updated = (await closeIfActive(updated._id, 'fulfilled', { by: req.user.id, byRole: req.user.role, reason: 'donation completed' })) || updated;
+    }
+
+    // Nothing left to chase this donor about
+    await ResponseToken.updateMany(
+      { requestId: request._id, donorId, nextEscalationAt: { $ne: null } },
+      { $set: { nextEscalationAt: null } }
+    );
+    publishDonationCompleted(request._id, donorId);
+
+    try {
+      const notif = await Notification.create({
+        hospitalId: request.hospitalId,
+        type: 'success',
+        title: 'Donation Completed',
+        message: `${history.donorName} (${history.donorBloodGroup}) donated for the ${request.bloodGroup} request. ${updated.confirmedUnits}/${updated.quantity} unit(s) confirmed.`,
+        donorId,
+        bloodRequestId: request._id,
+        meta: { bloodRequestId: request._id, donorId, donationId: history._id }
+      });
+      broadcastNotification(notif);
+    } catch (e) {
+      console.error('Failed to create notification', e);
+    }
+
+    res.json({
+      success: true,
+      message: 'Donation marked as completed.',
+      data: { donation: history, request: updated }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+module.exports = { markDonation, DONATION_COOLDOWN_HOURS };
@@ -0,0 +1,53 @@
+const { resolveResponseToken, TOKEN_ERROR_MESSAGES } = require('../utils/responseLink');
+const { recordDonorResponse, RESPONSE_ERRORS } = require('../utils/donorResponses');
+
+const RESPONSES = { accept: 'accepted', accepted: 'accepted', decline: 'declined', declined: 'declined' };
+const MAX_ETA_MINUTES = 24 * 60;
+
+// Public: a donor answers a blood request from their response link.
+// Body: { token, response: 'accept' | 'decline', reason?, etaMinutes? }
+const respondToRequest = async (req, res) => {
+  try {
+    const { token, response, reason, etaMinutes } = req.body || {};
+    const normalized = RESPONSES[String(response || '').toLowerCase()];
+    if (!token || !normalized) {
+      return res.status(400).json({ success: false, message: 'token and response (accept or decline) are required' });
+    }
+
+    let eta;
+    if (etaMinutes !== undefined && etaMinutes !== null && etaMinutes !== '') {
+      eta = Number(etaMinutes);
+      if (!Number.isFinite(eta) || eta <= 0 || eta > MAX_ETA_MINUTES) {
+        return res.status(400).json({ success: false, message: `etaMinutes must be between 1 and ${MAX_ETA_MINUTES}` });
+      }
+      eta = Math.round(eta);
+    }
+
+    const resolved = await resolveResponseToken(token);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ success: false, reason: resolved.error, message: TOKEN_ERROR_MESSAGES[resolved.error] });
+    }
+
+    const result = await recordDonorResponse(resolved.token, normalized, {
+      reason: normalized === 'declined' && reason ? String(reason).slice(0, 500) : undefined,
+      etaMinutes: normalized === 'accepted' ? eta : undefined,
+      channel: 'web'
+    });
+    if (result.error) {
+      const { status, message } = RESPONSE_ERRORS[result.error];
+      return res.status(status).json({ success: false, reason: result.error, message });
+    }
+
+    res.json({
+      success: true,
+      message: normalized === 'accepted'
+        ? `Thank you ${result.donor.name}! Please go to ${result.request.hospitalId.name || 'the hospital'} as soon as possible.`
+        : 'Thank you for letting us know.',
+      data: result.history
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+module.exports = { respondToRequest };
@@ -0,0 +1,156 @@
+const twilio = require('twilio');
+const Donor = require('../models/Donor');
+const ResponseToken = require('../models/ResponseToken');
+const Notification = require('../models/Notification');
+const { broadcastNotification } = require('../utils/notificationStream');
+const { recordDonorResponse } = require('../utils/donorResponses');
+const { recordSmsStatus } = require('../services/smsService');
+const { recordConsent } = require('../utils/consent');
+const { cancelMessagesForDonors } = require('../utils/outboxWorker');
+
+const YES_WORDS = ['YES', 'Y', 'HAAN', 'HA', 'HAN', 'OK', 'CONFIRM'];
+const NO_WORDS = ['NO', 'N', 'NAHI', 'NAHIN'];
+const STOP_WORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const START_WORDS = ['START', 'UNSTOP', 'SUBSCRIBE'];
+
+// Classifies a donor's reply by its first word; anything else is free text for the hospital
+const parseSmsReply = (body) => {
+  const text = String(body || '').trim();
+  const keyword = text.split(/\s+/)[0].toUpperCase().replace(/[^A-Z]/g, '');
+  if (YES_WORDS.includes(keyword)) return { intent: 'yes', text };
+  if (NO_WORDS.includes(keyword)) return { intent: 'no', text };
+  if (STOP_WORDS.includes(keyword)) return { intent: 'stop', text, keyword };
+  if (START_WORDS.includes(keyword)) return { intent: 'start', text, keyword };
+  return { intent: 'text', text };
+};
+
+// Donor phones are stored in mixed formats (with/without +91), so match on the last 10 digits
+const findDonorsByPhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 10) return [];
+  return Donor.find({ phone: { $regex: `${digits.slice(-10)}$` } });
+};
+
+// Most recent unused link for any of these donors whose request is still open
+const findOutstandingToken = async (donorIds) => {
+  const tokens = await ResponseToken.find({ donorId: { $in: donorIds }, isUsed: false, revokedAt: null })
+    .sort({ createdAt: -1 })
+    .limit(5)
+    .populate({ path: 'requestId', populate: { path: 'hospitalId', select: 'name' } });
+  return tokens.find(t => t.requestId && t.requestId.status === 'active') || null;
+};
+
+const notifyHospital = async (token, donor, title, message, type = 'info') => {
+  try {
+    const notif = await Notification.create({
+      hospitalId: token.requestId.hospitalId._id,
+      type,
+      title,
+      message,
+      donorId: donor._id,
+      bloodRequestId: token.requestId._id,
+      meta: { bloodRequestId: token.requestId._id, donorId: donor._id, channel: 'sms' }
+    });
+    broadcastNotification(notif);
+  } catch (e) {
+    console.error('Failed to create notification', e);
+  }
+};
+
+const reply = (res, message) => {
+  const twiml = new twilio.twiml.MessagingResponse();
+  if (message) twiml.message(message);
+  res.type('text/xml').send(twiml.toString());
+};
+
+// Twilio inbound SMS webhook (application/x-www-form-urlencoded: From, Body, ...)
+const handleInboundSms = async (req, res) => {
+  try {
+    const { From, Body } = req.body || {};
+    const { intent, text, keyword } = parseSmsReply(Body);
+    console.log(`[SMS] Inbound from ${From}: ${intent}`);
+
+    const donors = await findDonorsByPhone(From);
+    if (donors.length === 0) {
+      return reply(res, 'We could not find a registered donor with this number.');
+    }
+
+    const donorIds = donors.map(d => d._id);
+    const token = await findOutstandingToken(donorIds);
+
+    if (intent === 'stop') {
+      await recordConsent(donorIds, 'opt_out', { channel: 'sms', source: 'keyword', keyword });
+      await ResponseToken.updateMany(
+        { donorId: { $in: donorIds }, isUsed: false, revokedAt: null },
+        { $set: { revokedAt: new Date(), nextEscalationAt: null } }
+      );
+      await cancelMessagesForDonors(donorIds, 'Donor opted out');
+      return reply(res, 'You have been unsubscribed from blood request messages. Reply START to subscribe again.');
+    }
+
+    if (intent === 'start') {
+      await recordConsent(donorIds, 'opt_in', { channel: 'sms', source: 'keyword', keyword });
+      return reply(res, 'You are subscribed to blood request messages again. Reply STOP to unsubscribe.');
+    }
+
+    if (!token) {
+      return reply(res, 'There is no open blood request waiting for your reply. Thank you.');
+    }
+
+    const donor = donors.find(d => String(d._id) === String(token.donorId));
+    const request = token.requestId;
+    const hospitalName = request.hospitalId.name;
+
+    if (intent === 'yes') {
+      const result = await recordDonorResponse(token, 'accepted', { channel: 'sms' });
+      if (result.error === 'fulfilled') {
+        return reply(res, `Thank you! The request at ${hospitalName} has already been fulfilled.`);
+      }
+      if (result.error) {
+        return reply(res, 'There is no open blood request waiting for your reply. Thank you.');
+      }
+      return reply(res, `Thank you ${donor.name}! Please go to ${hospitalName} as soon as possible.`);
+    }
+
+    if (intent === 'no') {
+      // Anything after the first word is the donor's reason
+      const reason = text.split(/\s+/).slice(1).join(' ').slice(0, 500) || undefined;
+      await recordDonorResponse(token, 'declined', { channel: 'sms', reason });
+      return reply(res, 'Thank you for letting us know.');
+    }
+
+    await notifyHospital(token, donor, 'Donor Message (SMS)', `${donor.name}: "${text.slice(0, 300)}"`);
+    return reply(res, 'Your message has been passed to the hospital. Reply YES to confirm or NO to decline.');
+  } catch (error) {
+    console.error('Error handling inbound SMS:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Twilio delivery report webhook (MessageSid, MessageStatus, ErrorCode)
+const handleStatusCallback = async (req, res) => {
+  try {
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body || {};
+    if (!MessageSid || !MessageStatus) {
+      return res.status(400).json({ success: false, message: 'MessageSid and MessageStatus are required' });
+    }
+
+    const message = await recordSmsStatus({
+      sid: MessageSid,
+      status: MessageStatus,
+      errorCode: ErrorCode,
+      errorMessage: ErrorMessage
+    });
+    if (!message) {
+      console.warn(`[SMS] Status callback for unknown message ${MessageSid}`);
+    }
+    // Twilio only needs a 2xx
+    res.sendStatus(204);
+  } catch (error) {
+    // Still a 2xx: a callback we can't record won't get better when Twilio retries it
+    console.error('Error handling SMS status callback:', error);
+    res.sendStatus(204);
+  }
+};
+
+module.exports = { handleInboundSms, handleStatusCallback, parseSmsReply };
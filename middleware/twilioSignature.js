@@ -0,0 +1,29 @@
+const twilio = require('twilio');
+
+// Rejects webhook calls that were not signed by Twilio with our auth token.
+// Without a token the webhook is closed; local development can opt in to
+// unsigned requests with SMS_WEBHOOK_ALLOW_UNSIGNED=true.
+const verifyTwilioSignature = (req, res, next) => {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    if (!authToken) {
+        if (process.env.SMS_WEBHOOK_ALLOW_UNSIGNED === 'true') {
+            console.warn('[SMS] TWILIO_AUTH_TOKEN not set and SMS_WEBHOOK_ALLOW_UNSIGNED=true. Skipping webhook signature check.');
+            return next();
+        }
+        return res.status(503).json({ success: false, message: 'SMS webhook is not configured' });
+    }
+
+    // Behind a proxy the public URL differs from what Express sees
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const url = `${baseUrl.replace(/\/$/, '')}${req.originalUrl}`;
+    const signature = req.get('X-Twilio-Signature') || '';
+
+    if (!twilio.validateRequest(authToken, signature, url, req.body || {})) {
+        console.warn(`[SMS] Rejected webhook with invalid signature for ${url}`);
+        return res.status(403).json({ success: false, message: 'Invalid signature' });
+    }
+    next();
+};
+
+module.exports = { verifyTwilioSignature };
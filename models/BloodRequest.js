@@ -33,6 +33,26 @@ const bloodRequestSchema = new mongoose.Schema({
     enum: ['active', 'fulfilled', 'expired', 'cancelled'],
     default: 'active'
   },
+  // Every status change, oldest first (see utils/requestLifecycle.js)
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: ['active', 'fulfilled', 'expired', 'cancelled']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    byRole: {
+      type: String,
+      enum: ['hospital', 'admin', 'system']
+    },
+    reason: String
+  }],
   confirmedUnits: {
     type: Number,
     default: 0
@@ -45,10 +65,41 @@ const bloodRequestSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "Donor"
   }],
+  // Donors who opened their response link (whether or not they answered)
+  openedDonors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Donor"
+  }],
   remainingDonorsQueue: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: "Donor"
   }],
+  // Why each queued donor was selected (see utils/bloodCompatibility.js)
+  donorMatches: [{
+    _id: false,
+    donorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Donor"
+    },
+    donorBloodGroup: String,
+    rule: {
+      type: String,
+      enum: ['exact', 'rh_compatible', 'abo_compatible', 'universal']
+    },
+    distanceKm: Number,
+    // 0-100, see utils/donorScoring.js
+    score: Number,
+    scoreBreakdown: {
+      responseRate: Number,
+      recency: Number,
+      distance: Number,
+      fatigue: Number
+    }
+  }],
+  // Radius actually searched, after any widening (km)
+  searchRadiusKm: {
+    type: Number
+  },
   batchSentAt: {
     type: Date
   },
@@ -60,6 +111,13 @@ const bloodRequestSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Inputs behind the current batchSize/responseWindow (see utils/dispatchPolicy.js)
+  dispatchPolicy: {
+    unitsNeeded: Number,
+    acceptanceRate: Number,
+    minutesLeft: Number,
+    evaluatedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
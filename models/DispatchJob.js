@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One job per blood request; tells the scheduler when the next SMS batch is due.
+// `lockedBy`/`lockedUntil` form a lease so only one server instance runs a job at a time.
+const dispatchJobSchema = new mongoose.Schema({
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'running', 'completed', 'failed'],
+    default: 'scheduled'
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  // Set while a batch is held back by quiet hours
+  deferredUntil: {
+    type: Date,
+    default: null
+  },
+  // Asked to run while the job was running (e.g. a donor declined); applied when it is released
+  rerunAt: {
+    type: Date
+  },
+  batchesSent: {
+    type: Number,
+    default: 0
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0 // consecutive failures
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  completedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+dispatchJobSchema.index({ status: 1, runAt: 1 });
+dispatchJobSchema.index({ status: 1, lockedUntil: 1 });
+
+module.exports = mongoose.model('DispatchJob', dispatchJobSchema);
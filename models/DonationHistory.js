@@ -36,17 +36,32 @@ const donationHistorySchema = new mongoose.Schema({
   acceptedAt: {
     type: Date
   },
+  // When the donor said they would arrive (from the ETA they gave on accepting)
+  expectedArrivalAt: {
+    type: Date
+  },
+  declinedAt: {
+    type: Date
+  },
+  declineReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  responseChannel: {
+    type: String,
+    enum: ['web', 'sms']
+  },
   completedAt: {
     type: Date
   },
+  // Donor's last known position; not every response comes with one
   location: {
     lat: {
-      type: Number,
-      required: true
+      type: Number
     },
     lng: {
-      type: Number,
-      required: true
+      type: Number
     }
   },
   address: {
@@ -59,22 +74,10 @@ const donationHistorySchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Add compound index to prevent duplicate donations
-// This will prevent the same donor from being marked as completed multiple times within a short period
-donationHistorySchema.index(
-  { 
-    donorId: 1, 
-    status: 1, 
-    completedAt: 1 
-  }, 
-  { 
-    unique: true,
-    partialFilterExpression: { 
-      status: 'completed',
-      completedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Only within last 24 hours
-    }
-  }
-);
+// Duplicate completions are refused by the donation cooldown on Donor.lastDonationDate
+// (see controllers/donationController.js), not by an index
+donationHistorySchema.index({ donorId: 1, completedAt: -1 });
+donationHistorySchema.index({ donorId: 1, bloodRequestId: 1 });
 
 // Also add an index on donorName + status for additional protection
 donationHistorySchema.index(
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { geoPointField } = require('../utils/geo');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/smsTemplate');
 
 const donorSchema = new mongoose.Schema({
   email: {
@@ -41,9 +43,47 @@ const donorSchema = new mongoose.Schema({
     default: 'donor',
     enum: ['donor']
   },
+  // SMS language; falls back to English when a template has no translation
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LANGUAGES,
+    default: DEFAULT_LANGUAGE,
+    lowercase: true,
+    trim: true
+  },
+  // SMS consent. Donors are messaged unless they opt out (STOP or via admin);
+  // every change is kept in consentRecords for DLT/TRAI audits.
+  smsOptedOut: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  smsOptedOutAt: {
+    type: Date
+  },
+  consentRecords: [{
+    _id: false,
+    action: { type: String, enum: ['opt_in', 'opt_out'], required: true },
+    channel: { type: String, enum: ['sms', 'web', 'admin', 'import'], required: true },
+    source: String, // e.g. 'keyword', 'registration', 'admin', 'bulk_import'
+    keyword: String,
+    by: { type: mongoose.Schema.Types.ObjectId },
+    at: { type: Date, default: Date.now }
+  }],
   lastDonationDate: {
     type: Date
   },
+  // "You can donate again" reminder; donationDate ties it to one lastDonationDate
+  eligibilityReminder: {
+    donationDate: Date,
+    sentAt: Date,
+    channels: [{ type: String, enum: ['sms', 'email'] }]
+  },
+  // Last location shared through /api/donor-location
+  location: geoPointField(),
+  locationUpdatedAt: {
+    type: Date
+  },
   password: {
     type: String,
     required: true
@@ -52,6 +92,8 @@ const donorSchema = new mongoose.Schema({
   timestamps: true // Adds createdAt and updatedAt fields automatically
 });
 
+donorSchema.index({ location: '2dsphere' });
+
 const Donor = mongoose.model('Donor', donorSchema);
 
 module.exports = Donor;
\ No newline at end of file
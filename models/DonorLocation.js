@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Live location a donor shares while heading to the hospital. One document per
+// donor and request, refreshed on every share and removed an hour after the last one.
+const LOCATION_TTL_SECONDS = 60 * 60;
+const MAX_ACCURACY_METERS = 10000;
+
+const donorLocationSchema = new mongoose.Schema({
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest',
+    required: true
+  },
+  location: {
+    type: { type: String, enum: ['Point'], required: true },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: (value) => value.length === 2 &&
+          value[0] >= -180 && value[0] <= 180 &&
+          value[1] >= -90 && value[1] <= 90,
+        message: 'coordinates must be [longitude, latitude] within valid ranges'
+      }
+    }
+  },
+  // Plain copies of the point for consumers that read the collection directly
+  latitude: Number,
+  longitude: Number,
+  // Reported GPS accuracy in meters
+  accuracy: {
+    type: Number,
+    min: 0,
+    max: MAX_ACCURACY_METERS
+  },
+  address: String,
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  token: String,
+  // First share for this request: when the donor started heading in
+  firstSharedAt: Date,
+  shareCount: Number,
+  // Last share; the TTL index counts from here
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'locations'
+});
+
+donorLocationSchema.index({ donorId: 1, requestId: 1 }, { unique: true });
+donorLocationSchema.index({ requestId: 1, timestamp: -1 });
+donorLocationSchema.index({ location: '2dsphere' });
+donorLocationSchema.index({ timestamp: 1 }, { expireAfterSeconds: LOCATION_TTL_SECONDS, name: 'location_ttl_index' });
+
+donorLocationSchema.statics.MAX_ACCURACY_METERS = MAX_ACCURACY_METERS;
+
+module.exports = mongoose.model('DonorLocation', donorLocationSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One entry per email we tried to send. Bodies are kept for templates that can be
+// retried; OTP emails only keep the envelope since their codes expire.
+const emailLogSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  retryable: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+  transport: String,
+  messageId: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  sentAt: Date,
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor'
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest'
+  }
+}, {
+  timestamps: true
+});
+
+emailLogSchema.index({ status: 1, createdAt: -1 });
+emailLogSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailLog', emailLogSchema);
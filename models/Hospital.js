@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { geoPointField } = require('../utils/geo');
 
 // Extended schema to match fields used in the frontend (HospitalManagement component)
 const HospitalSchema = new mongoose.Schema({
@@ -8,9 +9,12 @@ const HospitalSchema = new mongoose.Schema({
   phone: { type: String },
   emergencyContact: { type: String },
   address: { type: String },
-  radius: { type: Number, default: 10 },
+  radius: { type: Number, default: 10 }, // km
+  location: geoPointField(),
   status: { type: String, enum: ['pending', 'active', 'suspended'], default: 'pending' },
   isVerified: { type: Boolean, default: false }
 }, { timestamps: true });
 
+HospitalSchema.index({ location: '2dsphere' });
+
 module.exports = mongoose.model('Hospital', HospitalSchema);
\ No newline at end of file
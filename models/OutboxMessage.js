@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Outbound messages waiting to be delivered by the outbox worker.
+// Enqueued in the same transaction as the batch that notified the donor,
+// so a donor is never marked notified without a message on its way.
+const outboxMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['sms'],
+    default: 'sms'
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor'
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest',
+    index: true
+  },
+  kind: {
+    type: String,
+    enum: ['blood_request', 'request_update', 'reminder', 'other'],
+    default: 'other'
+  },
+  // 'dead' = gave up after maxAttempts (or a permanent error); 'cancelled' = request closed first
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'dead', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String
+  },
+  smsMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsMessage'
+  },
+  sentAt: {
+    type: Date
+  },
+  // Set when the donor was put back in the request's queue after this message died
+  donorRequeued: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ status: 1, lockedUntil: 1 });
+outboxMessageSchema.index({ requestId: 1, donorId: 1 });
+// Donor scoring counts the requests each donor was sent
+outboxMessageSchema.index({ donorId: 1, kind: 1, status: 1 });
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
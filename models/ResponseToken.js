@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Links expire a day after they are sent
+const TTL_SECONDS = 24 * 60 * 60;
+
 const responseTokenSchema = new mongoose.Schema({
   token: {
     type: String,
@@ -20,13 +23,53 @@ const responseTokenSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Donor's answer and how it arrived
+  response: {
+    type: String,
+    enum: ['accepted', 'declined', null],
+    default: null
+  },
+  respondedAt: {
+    type: Date
+  },
+  responseChannel: {
+    type: String,
+    enum: ['web', 'sms']
+  },
+  // Every channel the donor was contacted on for this request, in order
+  channels: [{
+    _id: false,
+    channel: { type: String, enum: ['sms', 'email', 'voice'], required: true },
+    at: { type: Date, default: Date.now },
+    status: { type: String, enum: ['queued', 'sent', 'failed', 'skipped'], default: 'sent' },
+    reference: String, // SMS/email log id or call SID
+    error: String
+  }],
+  // When the escalation worker should try the next channel; null once the ladder is done
+  nextEscalationAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  // First time the donor opened the link (via the short link)
+  openedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the request closes before the donor used the link
+  revokedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now,
-    expires: 86400 // 24 hours expiry
+    expires: TTL_SECONDS
   }
 }, {
   timestamps: true
 });
 
+responseTokenSchema.statics.TTL_SECONDS = TTL_SECONDS;
+
 module.exports = mongoose.model('ResponseToken', responseTokenSchema);
@@ -1,4 +1,30 @@
 const mongoose = require('mongoose');
+const { validateTemplate, SUPPORTED_LANGUAGES } = require('../utils/smsTemplate');
+const { DEFAULT_SPEEDS_KMH } = require('../utils/eta');
+
+const templateValidator = {
+  validator: (value) => validateTemplate(value).length === 0,
+  message: (props) => validateTemplate(props.value).join('; ')
+};
+
+// Translations may leave a priority blank to fall back to English
+const optionalTemplateValidator = {
+  validator: (value) => !value || validateTemplate(value).length === 0,
+  message: (props) => validateTemplate(props.value).join('; ')
+};
+
+const templateTranslationSchema = new mongoose.Schema({
+  high: { type: String, validate: optionalTemplateValidator },
+  normal: { type: String, validate: optionalTemplateValidator },
+  pregnancy: { type: String, validate: optionalTemplateValidator }
+}, { _id: false });
+
+// Which template field is used for each message priority
+const SMS_TEMPLATE_FIELDS = {
+  high: 'smsTemplateHighPriority',
+  normal: 'smsTemplateNormalPriority',
+  pregnancy: 'smsTemplatePregnancy'
+};
 
 const settingsSchema = new mongoose.Schema({
   // SMS Configuration
@@ -15,14 +41,31 @@ const settingsSchema = new mongoose.Schema({
     default: process.env.TWILIO_PHONE_NUMBER || ''
   },
   
-  // SMS Templates
+  // SMS Templates (placeholders are listed in utils/smsTemplate.js)
   smsTemplateHighPriority: {
     type: String,
-    default: '🚨 URGENT: Blood donation needed at {hospital}. Your {bloodType} blood can save a life. Reply YES to confirm.'
+    default: '🚨 URGENT: Blood donation needed at {hospital}. Your {bloodType} blood can save a life. Reply YES to confirm.',
+    validate: templateValidator
   },
   smsTemplateNormalPriority: {
     type: String,
-    default: 'Blood donation request from {hospital}. Your {bloodType} blood is needed. Can you help? Reply YES to confirm.'
+    default: 'Blood donation request from {hospital}. Your {bloodType} blood is needed. Can you help? Reply YES to confirm.',
+    validate: templateValidator
+  },
+  smsTemplatePregnancy: {
+    type: String,
+    default: 'PREGNANCY EMERGENCY: {quantity} units {bloodType} blood needed URGENTLY for pregnant patient at {hospital}. Please respond: {responseUrl}',
+    validate: templateValidator
+  },
+  // Per-language variants keyed by language code, e.g. { hi: { high, normal, pregnancy } }
+  smsTemplateTranslations: {
+    type: Map,
+    of: templateTranslationSchema,
+    default: {},
+    validate: {
+      validator: (value) => [...(value ? value.keys() : [])].every(lang => SUPPORTED_LANGUAGES.includes(lang)),
+      message: `Translation languages must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`
+    }
   },
   
   // Email Configuration
@@ -55,6 +98,14 @@ const settingsSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+
+  // Average travel speed (km/h) used to estimate donor arrival times, per urgency
+  etaSpeedKmh: {
+    pregnancy: { type: Number, min: 1, max: 120, default: DEFAULT_SPEEDS_KMH.pregnancy },
+    high: { type: Number, min: 1, max: 120, default: DEFAULT_SPEEDS_KMH.high },
+    medium: { type: Number, min: 1, max: 120, default: DEFAULT_SPEEDS_KMH.medium },
+    low: { type: Number, min: 1, max: 120, default: DEFAULT_SPEEDS_KMH.low }
+  },
   
   // Metadata
   lastUpdated: {
@@ -92,4 +143,6 @@ settingsSchema.statics.updateSettings = async function(updateData, adminId = nul
   return settings;
 };
 
+settingsSchema.statics.SMS_TEMPLATE_FIELDS = SMS_TEMPLATE_FIELDS;
+
 module.exports = mongoose.model('Settings', settingsSchema);
\ No newline at end of file
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Short /r/:code links used in SMS in place of the full tracker URL.
+// Each one belongs to a single donor's response link so opens can be attributed.
+const shortLinkSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  targetUrl: {
+    type: String,
+    required: true
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest',
+    index: true
+  },
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor'
+  },
+  token: {
+    type: String,
+    index: true
+  },
+  clickCount: {
+    type: Number,
+    default: 0
+  },
+  firstClickedAt: Date,
+  lastClickedAt: Date,
+  // Most recent clicks only; link preview bots are kept but flagged
+  clicks: [{
+    _id: false,
+    at: { type: Date, default: Date.now },
+    userAgent: String,
+    bot: { type: Boolean, default: false }
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+shortLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ShortLink', shortLinkSchema);
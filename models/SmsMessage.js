@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Provider delivery states (Twilio names) plus our own 'failed' when the API call itself fails
+const SMS_STATUSES = [
+  'queued', 'accepted', 'scheduled', 'sending', 'sent',
+  'delivered', 'undelivered', 'failed', 'canceled', 'read'
+];
+
+// Callbacks can arrive out of order; never move a message back to an earlier state
+const STATUS_RANK = {
+  queued: 0, accepted: 0, scheduled: 0,
+  sending: 1,
+  sent: 2,
+  delivered: 3, read: 3, undelivered: 3, failed: 3, canceled: 3
+};
+
+const smsMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    index: true
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest',
+    index: true
+  },
+  kind: {
+    type: String,
+    enum: ['blood_request', 'request_update', 'reminder', 'other'],
+    default: 'other'
+  },
+  provider: {
+    type: String
+  },
+  providerSid: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  status: {
+    type: String,
+    enum: SMS_STATUSES,
+    default: 'queued'
+  },
+  segments: Number,
+  encoding: String,
+  errorCode: String,
+  errorMessage: String,
+  statusHistory: [{
+    _id: false,
+    status: { type: String, enum: SMS_STATUSES },
+    at: { type: Date, default: Date.now },
+    errorCode: String
+  }]
+}, {
+  timestamps: true
+});
+
+smsMessageSchema.index({ status: 1, createdAt: -1 });
+
+smsMessageSchema.statics.STATUSES = SMS_STATUSES;
+smsMessageSchema.statics.STATUS_RANK = STATUS_RANK;
+
+module.exports = mongoose.model('SmsMessage', smsMessageSchema);
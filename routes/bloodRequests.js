@@ -4,7 +4,17 @@ const bloodRequestController = require('../controllers/bloodRequestController');
 
 router.post('/', bloodRequestController.createBloodRequest);
 router.get('/', bloodRequestController.getAllBloodRequests);
+router.get('/dispatch-jobs', bloodRequestController.listDispatchJobs);
 router.get('/:id', bloodRequestController.getBloodRequestById);
+router.get('/:id/dispatch-job', bloodRequestController.getDispatchJob);
+router.get('/:id/history', bloodRequestController.getBloodRequestHistory);
+router.get('/:id/responses', bloodRequestController.getDonorResponses);
+router.get('/:id/responders', bloodRequestController.getResponders);
+router.get('/:id/location-stream', bloodRequestController.streamDonorLocations);
 router.post('/confirm', bloodRequestController.confirmDonation);
+router.post('/:id/cancel', bloodRequestController.cancelBloodRequest);
+router.patch('/:id/required-by', bloodRequestController.extendBloodRequest);
+router.patch('/:id/quantity', bloodRequestController.updateBloodRequestQuantity);
+router.post('/:id/reopen', bloodRequestController.reopenBloodRequest);
 
 module.exports = router;
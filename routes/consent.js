@@ -0,0 +1,94 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Donor = require('../models/Donor');
+const { recordConsent } = require('../utils/consent');
+
+const csvCell = (value) => {
+    const text = value == null ? '' : value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Opted-out donors with when and how they opted out.
+// ?from=&until= filter on the opt-out date; ?format=csv downloads the report.
+router.get('/opt-outs', async (req, res) => {
+    try {
+        const filter = { smsOptedOut: true };
+        if (req.query.from || req.query.until) {
+            filter.smsOptedOutAt = {};
+            if (req.query.from) filter.smsOptedOutAt.$gte = new Date(req.query.from);
+            if (req.query.until) filter.smsOptedOutAt.$lte = new Date(req.query.until);
+        }
+
+        const donors = await Donor.find(filter, 'name phone email bloodGroup smsOptedOutAt consentRecords')
+            .sort({ smsOptedOutAt: -1 })
+            .lean();
+
+        const rows = donors.map(donor => {
+            const record = [...(donor.consentRecords || [])].reverse().find(r => r.action === 'opt_out') || {};
+            return {
+                donorId: donor._id,
+                name: donor.name,
+                phone: donor.phone,
+                email: donor.email,
+                bloodGroup: donor.bloodGroup,
+                optedOutAt: donor.smsOptedOutAt,
+                channel: record.channel,
+                source: record.source,
+                keyword: record.keyword
+            };
+        });
+
+        if (req.query.format === 'csv') {
+            const columns = ['donorId', 'name', 'phone', 'email', 'bloodGroup', 'optedOutAt', 'channel', 'source', 'keyword'];
+            const csv = [columns.join(',')]
+                .concat(rows.map(row => columns.map(col => csvCell(row[col])).join(',')))
+                .join('\n');
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', 'attachment; filename="sms-opt-outs.csv"');
+            return res.send(csv);
+        }
+
+        res.json({ success: true, total: rows.length, data: rows });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.get('/donors/:id', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid donor id' });
+        }
+        const donor = await Donor.findById(req.params.id, 'name phone smsOptedOut smsOptedOutAt consentRecords');
+        if (!donor) return res.status(404).json({ success: false, message: 'Donor not found' });
+        res.json({ success: true, data: donor });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Record consent given or withdrawn outside SMS (phone call, form, in person)
+const updateConsent = (action) => async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid donor id' });
+        }
+        if (!(await Donor.exists({ _id: req.params.id }))) {
+            return res.status(404).json({ success: false, message: 'Donor not found' });
+        }
+        const result = await recordConsent([req.params.id], action, {
+            channel: 'admin',
+            source: req.body.source || 'admin',
+            by: req.user.id
+        });
+        res.json({ success: true, changed: result.modifiedCount > 0 });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+router.post('/donors/:id/opt-out', updateConsent('opt_out'));
+router.post('/donors/:id/opt-in', updateConsent('opt_in'));
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
+const donorResponseController = require('../controllers/donorResponseController');
 
-router.post('/', (req, res) => res.json({ message: 'Donor response endpoint' }));
+// Public: authenticated by the donor's response link token
+router.post('/', donorResponseController.respondToRequest);
 
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Donor = require('../models/Donor');
 const bcrypt = require('bcryptjs');
+const { initialConsent } = require('../utils/consent');
 
 router.get('/', async (req, res) => {
     try {
@@ -18,6 +19,7 @@ router.post('/', async (req, res) => {
         if (donorData.password) {
             donorData.password = await bcrypt.hash(donorData.password, 10);
         }
+        Object.assign(donorData, initialConsent({ channel: 'web', source: 'registration', by: req.user && req.user.id }));
         const donor = new Donor(donorData);
         await donor.save();
         res.status(201).json(donor);
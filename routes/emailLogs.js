@@ -0,0 +1,57 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const EmailLog = require('../models/EmailLog');
+const { retryEmail } = require('../services/emailService');
+
+// ?status=sent,failed&template=&email=&from=&until=
+router.get('/', async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 50, 200);
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const filter = {};
+        if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+        if (req.query.template) filter.template = req.query.template;
+        if (req.query.email) filter.to = String(req.query.email).toLowerCase();
+        if (req.query.from || req.query.until) {
+            filter.createdAt = {};
+            if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+            if (req.query.until) filter.createdAt.$lte = new Date(req.query.until);
+        }
+
+        const [emails, total] = await Promise.all([
+            EmailLog.find(filter, '-html').sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            EmailLog.countDocuments(filter)
+        ]);
+        res.json({ success: true, data: emails, total, page, limit });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid email id' });
+        }
+        const email = await EmailLog.findById(req.params.id);
+        if (!email) return res.status(404).json({ success: false, message: 'Email not found' });
+        res.json({ success: true, data: email });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/:id/retry', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid email id' });
+        }
+        const email = await retryEmail(req.params.id);
+        res.json({ success: true, data: email });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const donationController = require('../controllers/donationController');
 
-router.post('/mark-donation', (req, res) => {
-    res.json({ message: 'Donation marked successfully (mock)' });
-});
+router.post('/', donationController.markDonation);
 
 module.exports = router;
@@ -1,6 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const Settings = require('../models/Settings');
+const { getSMSTemplate, formatSMSMessage } = require('../services/smsService');
+const { PLACEHOLDERS, SUPPORTED_LANGUAGES, validateTemplate, buildTemplateVars, countSegments } = require('../utils/smsTemplate');
+const { buildResponseUrl, generateResponseToken } = require('../utils/responseLink');
+const { prepareShortLink } = require('../utils/shortLinks');
+
+const templateFields = Object.values(Settings.SMS_TEMPLATE_FIELDS);
+
+// Sample used when a preview request doesn't supply its own
+const sampleRequest = () => ({
+    bloodGroup: 'B+',
+    quantity: 2,
+    urgency: 'high',
+    requiredBy: new Date(Date.now() + 6 * 60 * 60 * 1000)
+});
 
 router.get('/', async (req, res) => {
     try {
@@ -17,11 +31,68 @@ router.get('/', async (req, res) => {
 
 router.put('/', async (req, res) => {
     try {
-        const settings = await Settings.findOneAndUpdate({}, req.body, { new: true, upsert: true });
+        const templateErrors = {};
+        templateFields.forEach(field => {
+            if (req.body[field] === undefined) return;
+            const errors = validateTemplate(req.body[field]);
+            if (errors.length) templateErrors[field] = errors;
+        });
+        const translations = req.body.smsTemplateTranslations;
+        if (translations !== undefined) {
+            if (!translations || typeof translations !== 'object') {
+                templateErrors.smsTemplateTranslations = ['Must be an object keyed by language code'];
+            } else {
+                Object.entries(translations).forEach(([language, variants]) => {
+                    if (!SUPPORTED_LANGUAGES.includes(language)) {
+                        templateErrors[`smsTemplateTranslations.${language}`] = [`Unsupported language. Use one of: ${SUPPORTED_LANGUAGES.join(', ')}`];
+                        return;
+                    }
+                    Object.entries(variants || {}).forEach(([priority, template]) => {
+                        if (!Settings.SMS_TEMPLATE_FIELDS[priority]) {
+                            templateErrors[`smsTemplateTranslations.${language}.${priority}`] = ['Unknown priority; use high, normal or pregnancy'];
+                            return;
+                        }
+                        const errors = template ? validateTemplate(template) : [];
+                        if (errors.length) templateErrors[`smsTemplateTranslations.${language}.${priority}`] = errors;
+                    });
+                });
+            }
+        }
+        if (Object.keys(templateErrors).length) {
+            return res.status(400).json({ error: 'Invalid SMS template', templateErrors, placeholders: PLACEHOLDERS });
+        }
+
+        const settings = await Settings.findOneAndUpdate({}, req.body, { new: true, upsert: true, runValidators: true });
         res.json(settings);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// Render a template against a sample request without sending anything.
+// Body: { template?, priority? ('high' | 'normal' | 'pregnancy'), language?, request?, hospitalName?, donorName? }
+router.post('/sms-templates/preview', async (req, res) => {
+    try {
+        const { template, priority = 'normal', language = 'en', request = {}, hospitalName = 'City Hospital', donorName = 'Asha' } = req.body || {};
+        const source = template !== undefined ? template : await getSMSTemplate(priority, language);
+
+        const errors = validateTemplate(source);
+        if (errors.length) {
+            return res.status(400).json({ success: false, errors, placeholders: PLACEHOLDERS });
+        }
+
+        const vars = buildTemplateVars({ ...sampleRequest(), ...request }, {
+            hospitalName,
+            donorName,
+            // Same shape of link donors receive, so the segment count is accurate
+            responseUrl: prepareShortLink({ targetUrl: buildResponseUrl('sample', generateResponseToken()) }).url
+        });
+        const message = formatSMSMessage(source, vars);
+
+        res.json({ success: true, language, template: source, message, ...countSegments(message), placeholders: PLACEHOLDERS });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 module.exports = router;
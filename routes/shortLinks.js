@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const BloodRequest = require('../models/BloodRequest');
+const ResponseToken = require('../models/ResponseToken');
+const { recordClick } = require('../utils/shortLinks');
+
+// Public: donors land here from the SMS and are sent on to the tracker page
+router.get('/:code', async (req, res) => {
+    try {
+        const result = await recordClick(req.params.code, req.get('User-Agent') || '');
+        if (!result) {
+            return res.status(404).send('This link has expired or is not valid.');
+        }
+
+        const { link, bot } = result;
+        if (!bot && link.donorId) {
+            const now = new Date();
+            await Promise.all([
+                link.token
+                    ? ResponseToken.updateOne({ token: link.token, openedAt: null }, { $set: { openedAt: now } })
+                    : null,
+                link.requestId
+                    ? BloodRequest.updateOne({ _id: link.requestId }, { $addToSet: { openedDonors: link.donorId } })
+                    : null
+            ]).catch(err => console.error('Failed to record link open:', err.message));
+        }
+
+        res.redirect(302, link.targetUrl);
+    } catch (err) {
+        res.status(500).send('Something went wrong. Please try again.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const smsController = require('../controllers/smsController');
+const { verifyTwilioSignature } = require('../middleware/twilioSignature');
+
+// Twilio posts form-encoded webhooks
+router.use(express.urlencoded({ extended: false }));
+
+router.post('/inbound', verifyTwilioSignature, smsController.handleInboundSms);
+router.post('/status', verifyTwilioSignature, smsController.handleStatusCallback);
+
+module.exports = router;
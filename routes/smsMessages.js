@@ -0,0 +1,139 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const SmsMessage = require('../models/SmsMessage');
+const OutboxMessage = require('../models/OutboxMessage');
+const { retryMessage, processOutbox } = require('../utils/outboxWorker');
+
+const FAILED_STATUSES = ['failed', 'undelivered'];
+
+// Shared filters: ?requestId=&donorId=&status=&kind=&failed=true&from=&to=
+const buildFilter = (query) => {
+    const filter = {};
+    if (query.requestId && mongoose.Types.ObjectId.isValid(query.requestId)) {
+        filter.requestId = new mongoose.Types.ObjectId(query.requestId);
+    }
+    if (query.donorId && mongoose.Types.ObjectId.isValid(query.donorId)) {
+        filter.donorId = new mongoose.Types.ObjectId(query.donorId);
+    }
+    if (query.status) filter.status = { $in: String(query.status).split(',') };
+    if (query.failed === 'true') filter.status = { $in: FAILED_STATUSES };
+    if (query.kind) filter.kind = query.kind;
+    if (query.from || query.to) {
+        filter.createdAt = {};
+        if (query.from) filter.createdAt.$gte = new Date(query.from);
+        if (query.to) filter.createdAt.$lte = new Date(query.to);
+    }
+    return filter;
+};
+
+router.get('/', async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 50, 200);
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const filter = buildFilter(req.query);
+
+        const [messages, total] = await Promise.all([
+            SmsMessage.find(filter)
+                .populate('donorId', 'name phone bloodGroup')
+                .populate('requestId', 'bloodGroup quantity urgency status')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            SmsMessage.countDocuments(filter)
+        ]);
+
+        res.json({ success: true, data: messages, total, page, limit });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Delivery counts grouped per request or per donor: ?groupBy=request|donor
+router.get('/summary', async (req, res) => {
+    try {
+        const groupField = req.query.groupBy === 'donor' ? '$donorId' : '$requestId';
+        const summary = await SmsMessage.aggregate([
+            { $match: buildFilter(req.query) },
+            {
+                $group: {
+                    _id: groupField,
+                    total: { $sum: 1 },
+                    delivered: { $sum: { $cond: [{ $in: ['$status', ['delivered', 'read']] }, 1, 0] } },
+                    failed: { $sum: { $cond: [{ $in: ['$status', FAILED_STATUSES] }, 1, 0] } },
+                    pending: { $sum: { $cond: [{ $in: ['$status', ['queued', 'accepted', 'scheduled', 'sending', 'sent']] }, 1, 0] } },
+                    lastSentAt: { $max: '$createdAt' }
+                }
+            },
+            { $sort: { failed: -1, lastSentAt: -1 } },
+            { $limit: 200 }
+        ]);
+        res.json({ success: true, groupBy: req.query.groupBy === 'donor' ? 'donor' : 'request', data: summary });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Outbox: ?status=pending|processing|sent|dead|cancelled&requestId=
+router.get('/outbox', async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 50, 200);
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const filter = {};
+        if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+        if (req.query.requestId && mongoose.Types.ObjectId.isValid(req.query.requestId)) {
+            filter.requestId = req.query.requestId;
+        }
+
+        const [messages, total, counts] = await Promise.all([
+            OutboxMessage.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            OutboxMessage.countDocuments(filter),
+            OutboxMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        ]);
+
+        res.json({
+            success: true,
+            data: messages,
+            total,
+            page,
+            limit,
+            counts: Object.fromEntries(counts.map(c => [c._id, c.count]))
+        });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Send a dead-lettered message again
+router.post('/outbox/:id/retry', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid message id' });
+        }
+        const message = await retryMessage(req.params.id);
+        if (!message) {
+            return res.status(404).json({ success: false, message: 'No dead-lettered message with this id' });
+        }
+        processOutbox();
+        res.json({ success: true, data: message });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid message id' });
+        }
+        const message = await SmsMessage.findById(req.params.id)
+            .populate('donorId', 'name phone bloodGroup')
+            .populate('requestId', 'bloodGroup quantity urgency status');
+        if (!message) return res.status(404).json({ success: false, message: 'Message not found' });
+        res.json({ success: true, data: message });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,44 @@
 const express = require('express');
 const router = express.Router();
+const { TOKEN_PATTERN, TOKEN_ERROR_MESSAGES, resolveResponseToken } = require('../utils/responseLink');
 
-router.get('/:token', (req, res) => {
-    res.json({ valid: true, token: req.params.token });
+// Validates a donor's response link and tells the tracker who it belongs to.
+// Only token-shaped paths are handled; everything else falls through to other routes.
+router.get('/:token', async (req, res, next) => {
+    if (!TOKEN_PATTERN.test(req.params.token)) return next();
+
+    try {
+        const { token, expiresAt, error, status } = await resolveResponseToken(req.params.token, { allowAccepted: true });
+        if (error) {
+            return res.status(status).json({ valid: false, reason: error, message: TOKEN_ERROR_MESSAGES[error] });
+        }
+
+        await token.populate([
+            { path: 'donorId', select: 'name bloodGroup' },
+            { path: 'requestId', select: 'bloodGroup quantity urgency status requiredBy hospitalId', populate: { path: 'hospitalId', select: 'name address phone' } }
+        ]);
+        const request = token.requestId;
+        if (!request || request.status !== 'active') {
+            return res.status(410).json({ valid: false, reason: 'revoked', message: TOKEN_ERROR_MESSAGES.revoked });
+        }
+
+        res.json({
+            valid: true,
+            expiresAt,
+            response: token.response,
+            donor: token.donorId ? { id: token.donorId._id, name: token.donorId.name, bloodGroup: token.donorId.bloodGroup } : null,
+            request: {
+                id: request._id,
+                bloodGroup: request.bloodGroup,
+                quantity: request.quantity,
+                urgency: request.urgency,
+                requiredBy: request.requiredBy,
+                hospital: request.hospitalId
+            }
+        });
+    } catch (err) {
+        res.status(500).json({ valid: false, error: err.message });
+    }
 });
 
 module.exports = router;
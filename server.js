@@ -16,9 +16,20 @@ const tokenResponseRouter = require('./routes/tokenResponse');
 const donationHistoryRouter = require('./routes/donationHistory');
 const settingsRouter = require('./routes/settings');
 const markDonationRouter = require('./routes/markDonation');
+const smsRouter = require('./routes/sms');
+const smsMessagesRouter = require('./routes/smsMessages');
+const emailLogsRouter = require('./routes/emailLogs');
+const shortLinksRouter = require('./routes/shortLinks');
+const consentRouter = require('./routes/consent');
 const Notification = require('./models/Notification');
 const { addClient: addNotificationClient, broadcastNotification } = require('./utils/notificationStream');
-const { generateOTP, sendRegistrationOTP, sendPasswordResetOTP } = require('./services/emailService');
+const { generateOTP, sendRegistrationOTP, sendPasswordResetOTP, sendHospitalApprovalEmail } = require('./services/emailService');
+const { parseNumber, isValidCoordinates, toPoint } = require('./utils/geo');
+const { resolveResponseToken, TOKEN_ERROR_MESSAGES } = require('./utils/responseLink');
+const DonorLocation = require('./models/DonorLocation');
+const { publishLocation, THROTTLE_MS: LOCATION_THROTTLE_MS } = require('./utils/locationWatcher');
+const { normalizeLanguage } = require('./utils/smsTemplate');
+const { initialConsent } = require('./utils/consent');
 
 // Helper function to create admin notifications
 const createAdminNotification = async (title, message, type = 'info', relatedData = {}) => {
@@ -117,93 +128,63 @@ db.on('reconnected', () => {
 db.once('open', async () => {
   console.log('✅ MongoDB connected successfully!');
 
-  // ⏰ Create TTL index for automatic location cleanup after 1 hour
+  // 🗑️ The old partial unique index on donation history froze its 24h window at
+  // startup and blocked legitimate donations; the cooldown is enforced in code now
   try {
-    const locationsCollection = mongoose.connection.db.collection('locations');
-
-    // Check if TTL index already exists
-    const indexes = await locationsCollection.indexes();
-    const hasTTLIndex = indexes.some(index =>
-      index.key.timestamp && index.expireAfterSeconds
-    );
-
-    if (!hasTTLIndex) {
-      await locationsCollection.createIndex(
-        { timestamp: 1 },
-        {
-          expireAfterSeconds: 3600, // 3600 seconds = 1 hour
-          name: 'location_ttl_index'
-        }
-      );
-      console.log('✅ TTL index created on locations collection - locations will auto-expire after 1 hour');
-    } else {
-      console.log('✅ TTL index already exists on locations collection');
-    }
+    await mongoose.connection.db.collection('donationhistories').dropIndex('donorId_1_status_1_completedAt_1');
+    console.log('✅ Dropped legacy donation history unique index');
   } catch (error) {
-    console.error('⚠️  Failed to create TTL index (non-critical):', error.message);
+    if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') {
+      console.error('⚠️  Failed to drop legacy donation history index (non-critical):', error.message);
+    }
   }
 
-  // 🔍 Start MongoDB Change Stream watcher for real-time notifications
+  // 🔍 Start MongoDB Change Stream watcher for live donor location streams
   try {
     const { startLocationWatcher } = require('./utils/locationWatcher');
-    startLocationWatcher();
+    await startLocationWatcher();
   } catch (error) {
     console.error('⚠️  Failed to start location watcher:', error.message);
   }
 
-  // 🔄 Start Batch SMS Scheduler (every 1 minute)
+  // 🔄 Start Batch SMS Scheduler (jobs are persisted in MongoDB and leased per instance)
   try {
-    const { sendNextBatch } = require('./controllers/bloodRequestController');
-    const BloodRequest = require('./models/BloodRequest');
-
-    const checkPendingBatches = async () => {
-      try {
-        if (mongoose.connection.readyState !== 1) return; // DB not ready
-
-        // Find pending requests that are "in progress"
-        const pendingRequests = await BloodRequest.find({
-          status: 'pending',
-          batchInProgress: true,
-          $expr: { $lt: ['$confirmedUnits', '$quantity'] }
-        });
-
-        if (pendingRequests.length > 0) {
-          // console.log(`\n⏰ [Scheduler] Checking ${pendingRequests.length} in-progress requests...`);
-        }
-
-        const now = Date.now();
-
-        for (const request of pendingRequests) {
-          if (!request.batchSentAt) continue;
-
-          const windowMinutes = request.responseWindow || 2;
-          const sentTime = new Date(request.batchSentAt).getTime();
-          const elapsedMinutes = (now - sentTime) / (1000 * 60);
-
-          if (elapsedMinutes >= windowMinutes) {
-            console.log(`[Scheduler] Response window closed (${elapsedMinutes.toFixed(1)}/${windowMinutes} mins) for request ${request._id}. Next batch...`);
-
-            request.batchInProgress = false;
-            await request.save();
-
-            await sendNextBatch(request._id);
-          }
-        }
+    const { startBatchScheduler } = require('./utils/batchScheduler');
+    startBatchScheduler();
+  } catch (error) {
+    console.error('⚠️  Failed to start Batch Scheduler:', error.message);
+  }
 
-      } catch (err) {
-        console.error('[Scheduler] Error checking pending batches:', err.message);
-      }
-    };
+  // 📤 Deliver queued SMS with retries
+  try {
+    const { startOutboxWorker } = require('./utils/outboxWorker');
+    startOutboxWorker();
+  } catch (error) {
+    console.error('⚠️  Failed to start outbox worker:', error.message);
+  }
 
-    // Run every minute
-    setInterval(checkPendingBatches, 60 * 1000);
-    console.log('✅ Batch SMS Scheduler started (1 min interval)');
+  // 📞 Follow up unanswered donors by email, then voice for emergencies
+  try {
+    const { startEscalationWorker } = require('./utils/escalationWorker');
+    startEscalationWorker();
+  } catch (error) {
+    console.error('⚠️  Failed to start escalation worker:', error.message);
+  }
 
-    // Run once after short delay to catch up on missed batches
-    setTimeout(checkPendingBatches, 10000);
+  // 🔔 Tell past donors when they can donate again
+  try {
+    const { startEligibilityReminders } = require('./utils/eligibilityReminders');
+    startEligibilityReminders();
+  } catch (error) {
+    console.error('⚠️  Failed to start eligibility reminders:', error.message);
+  }
 
+  // 🧹 Expire overdue requests in the background instead of waiting for someone to open them
+  try {
+    const { startRequestSweeper } = require('./utils/requestSweeper');
+    startRequestSweeper();
   } catch (error) {
-    console.error('⚠️  Failed to start Batch Scheduler:', error.message);
+    console.error('⚠️  Failed to start request sweeper:', error.message);
   }
 });
 
@@ -217,7 +198,11 @@ const SECRET = process.env.JWT_SECRET || 'fallback_secret_key';
 ============================ */
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  let token = authHeader && authHeader.split(' ')[1];
+  // Browsers can't set headers on an EventSource, so SSE requests may pass the JWT in the query
+  if (!token && String(req.headers.accept || '').includes('text/event-stream')) {
+    token = req.query.access_token;
+  }
   if (!token) return res.sendStatus(401);
 
   jwt.verify(token, SECRET, (err, user) => {
@@ -232,27 +217,51 @@ function authenticateToken(req, res, next) {
 ============================ */
 app.use('/blood-requests', authenticateToken, bloodRequestsRouter);
 app.use('/api/bloodrequest', require('./routes/publicBloodRequests'));
-app.use('/donor-response', authenticateToken, donorResponseRouter);
+app.use('/donor-response', donorResponseRouter); // Public: authenticated by response token
 app.use('/donors', authenticateToken, donorsRouter);
 app.use('/hospitals', authenticateToken, hospitalsRouter);
 app.use('/donation-history', authenticateToken, donationHistoryRouter);
+app.use('/admin/sms-messages', authenticateToken, smsMessagesRouter);
+app.use('/admin/email-logs', authenticateToken, emailLogsRouter);
+app.use('/admin/consent', authenticateToken, consentRouter);
 app.use('/admin', authenticateToken, settingsRouter);
-app.use('/api', authenticateToken, markDonationRouter);
+app.use('/api/mark-donation', authenticateToken, markDonationRouter);
+app.use('/sms', smsRouter); // Public: Twilio webhooks, verified by signature
+app.use('/r', shortLinksRouter); // Public: short links in donor SMS
 app.use('/', tokenResponseRouter); // Public route for SMS responses
 
 // Public route for direct location sharing from frontend
 app.post('/api/donor-location', async (req, res) => {
   try {
     console.log('=== DIRECT LOCATION SHARING FROM FRONTEND ===');
-    const { requestId, donorId, lat, lng } = req.body;
-
-    console.log('Received data:', { requestId, donorId, lat, lng });
+    const { token, lat, lng } = req.body;
 
-    if (!requestId || !donorId || !lat || !lng) {
+    const missing = (value) => value === undefined || value === null || value === '';
+    if (!token || missing(lat) || missing(lng)) {
       return res.status(400).json({
-        error: 'Missing required fields: requestId, donorId, lat, lng'
+        error: 'Missing required fields: token, lat, lng'
       });
     }
+    if (!isValidCoordinates(lat, lng)) {
+      return res.status(400).json({ error: 'lat and lng must be numbers, lat between -90 and 90 and lng between -180 and 180' });
+    }
+    const accuracy = missing(req.body.accuracy) ? undefined : parseNumber(req.body.accuracy);
+    if (accuracy !== undefined && !(accuracy !== null && accuracy >= 0 && accuracy <= DonorLocation.MAX_ACCURACY_METERS)) {
+      return res.status(400).json({ error: `accuracy must be between 0 and ${DonorLocation.MAX_ACCURACY_METERS} meters` });
+    }
+
+    // The donor is whoever the response link was issued to, never a donorId from the body
+    const resolved = await resolveResponseToken(token, { allowAccepted: true });
+    if (resolved.error) {
+      return res.status(resolved.status).json({ success: false, error: resolved.error, message: TOKEN_ERROR_MESSAGES[resolved.error] });
+    }
+    const requestId = String(resolved.token.requestId);
+    const donorId = String(resolved.token.donorId);
+    if (req.body.requestId && String(req.body.requestId) !== requestId) {
+      return res.status(400).json({ error: 'Response link does not belong to this blood request' });
+    }
+
+    console.log('Received data:', { requestId, donorId, lat, lng });
 
     // Find the blood request to validate
     const BloodRequest = require('./models/BloodRequest');
@@ -263,7 +272,7 @@ app.post('/api/donor-location', async (req, res) => {
     }
 
     // Check if request is already fulfilled
-    if (bloodRequest.status === 'fulfilled' || bloodRequest.status === 'cancelled' || bloodRequest.status === 'completed') {
+    if (bloodRequest.status !== 'active') {
       console.log(`❌ Location rejected: Request ${requestId} is ${bloodRequest.status}`);
       return res.status(400).json({
         success: false,
@@ -278,51 +287,68 @@ app.post('/api/donor-location', async (req, res) => {
       status: bloodRequest.status
     });
 
-    // Try to find donor information
-    let donorInfo = null;
-    try {
-      const Donor = require('./models/Donor');
-      donorInfo = await Donor.findById(donorId);
-      if (!donorInfo) {
-        donorInfo = await Donor.findOne({ uniqueId: donorId });
-      }
-    } catch (error) {
-      console.log('Could not find donor in database, proceeding with location only');
-    }
-
-    // Create location data with proper requestId
-    const locationData = {
-      address: donorInfo ? `${donorInfo.name} - Current Location` : 'Direct location share',
-      latitude: parseFloat(lat),
-      longitude: parseFloat(lng),
-      accuracy: 0,
-      userName: donorInfo ? donorInfo.name : `Donor ${donorId}`,
-      rollNumber: donorInfo ? donorInfo.rollNumber || '' : '',
-      mobileNumber: donorInfo ? donorInfo.phone : '',
-      timestamp: new Date(),
-      // IMPORTANT: Store the requestId from the frontend
-      requestId: requestId,
-      donorId: donorId,
-      token: `DIRECT_${requestId}_${donorId}`, // Generate a unique token
-      isAvailable: true,
-      responseTime: new Date()
-    };
+    const Donor = require('./models/Donor');
+    const donorInfo = await Donor.findById(donorId, 'name');
+    if (!donorInfo) {
+      return res.status(404).json({ error: 'Donor not found' });
+    }
 
-    console.log('Saving location with requestId:', locationData.requestId);
+    // Tracking stops once the hospital has recorded this donor's donation
+    const DonationHistory = require('./models/DonationHistory');
+    const donated = await DonationHistory.exists({ donorId, bloodRequestId: requestId, status: 'completed' });
+    if (donated) {
+      return res.status(409).json({
+        success: false,
+        error: 'Donation completed',
+        message: 'Your donation has been recorded. Location sharing has stopped. Thank you!',
+        data: { tracking: false }
+      });
+    }
 
-    // Save to locations collection
-    const result = await mongoose.connection.db.collection('locations').insertOne(locationData);
+    const now = new Date();
+    const point = toPoint(lat, lng);
 
-    console.log('✅ Location saved successfully with requestId:', requestId);
+    // Remember where the donor was so future requests can rank them by distance
+    await Donor.updateOne(
+      { _id: donorId },
+      { $set: { location: point, locationUpdatedAt: now } }
+    );
+
+    // Repeated shares update the donor's single document for this request
+    const saved = await DonorLocation.findOneAndUpdate(
+      { donorId, requestId },
+      {
+        $set: {
+          location: point,
+          latitude: Number(lat),
+          longitude: Number(lng),
+          accuracy,
+          address: req.body.address || `${donorInfo.name} - Current Location`,
+          isAvailable: true,
+          token,
+          timestamp: now
+        },
+        $setOnInsert: { firstSharedAt: now },
+        $inc: { shareCount: 1 }
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`✅ Location saved for donor ${donorId} on request ${requestId} (share #${saved.shareCount})`);
+    publishLocation(saved);
 
     res.json({
       success: true,
       message: 'Location shared successfully',
       data: {
-        locationId: result.insertedId,
+        locationId: saved._id,
         requestId: requestId,
         donorId: donorId,
-        coordinates: { lat, lng }
+        coordinates: { lat: Number(lat), lng: Number(lng) },
+        accuracy: saved.accuracy,
+        // Clients en route keep posting; faster than this is not streamed to the hospital
+        tracking: true,
+        minIntervalSeconds: Math.ceil(LOCATION_THROTTLE_MS / 1000)
       }
     });
 
@@ -395,9 +421,16 @@ app.post('/admin/donors', async (req, res) => {
 
     const donorData = { ...req.body };
     if (donorData.email) donorData.email = donorData.email.toLowerCase();
+    if (donorData.preferredLanguage !== undefined) {
+      donorData.preferredLanguage = normalizeLanguage(donorData.preferredLanguage);
+      if (!donorData.preferredLanguage) {
+        return res.status(400).json({ success: false, message: 'Unsupported preferredLanguage' });
+      }
+    }
     if (donorData.password) {
       donorData.password = await bcrypt.hash(donorData.password, 10);
     }
+    Object.assign(donorData, initialConsent({ channel: 'admin', source: 'admin' }));
 
     const donor = new Donor(donorData);
     await donor.save();
@@ -432,6 +465,12 @@ app.put('/admin/donors/:id', async (req, res) => {
 
     const updateData = { ...req.body };
     if (updateData.email) updateData.email = updateData.email.toLowerCase();
+    if (updateData.preferredLanguage !== undefined) {
+      updateData.preferredLanguage = normalizeLanguage(updateData.preferredLanguage);
+      if (!updateData.preferredLanguage) {
+        return res.status(400).json({ success: false, message: 'Unsupported preferredLanguage' });
+      }
+    }
     if (updateData.password) {
       updateData.password = await bcrypt.hash(updateData.password, 10);
     }
@@ -781,8 +820,16 @@ app.get('/admin/analytics/fulfillment-breakdown', async (req, res) => {
 // Get response times by hour
 app.get('/admin/analytics/response-times-by-hour', async (req, res) => {
   try {
-    const DonorResponse = require('./models/DonorLocationResponse');
-    const responses = await DonorResponse.find({}).populate('requestId');
+    // Donor answers (accept or decline) are kept in donation history
+    const DonationHistory = require('./models/DonationHistory');
+    const history = await DonationHistory.find(
+      { status: { $in: ['accepted', 'declined', 'completed'] } },
+      'bloodRequestId acceptedAt declinedAt'
+    ).populate('bloodRequestId', 'createdAt');
+    const responses = history.map(entry => ({
+      requestId: entry.bloodRequestId,
+      responseTime: entry.acceptedAt || entry.declinedAt
+    }));
 
     const hourlyResponseTimes = {};
     // Initialize all time slots
@@ -1111,6 +1158,8 @@ app.put('/admin/hospitals/:id', async (req, res) => {
       updateData.password = await bcrypt.hash(updateData.password, 10);
     }
 
+    const previous = await Hospital.findById(req.params.id, 'status');
+
     const hospital = await Hospital.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -1124,6 +1173,12 @@ app.put('/admin/hospitals/:id', async (req, res) => {
       });
     }
 
+    // Let the hospital know once an admin activates their account
+    if (previous && previous.status !== 'active' && hospital.status === 'active') {
+      sendHospitalApprovalEmail(hospital)
+        .catch(err => console.error('Failed to send hospital approval email:', err.message));
+    }
+
     res.json({
       success: true,
       message: 'Hospital updated successfully',
@@ -1282,7 +1337,8 @@ app.post('/admin/donors/import', async (req, res) => {
       email: ['email', 'mail', 'emailid', 'e'],
       phone: ['phone', 'phoneno', 'mobileno', 'mobile', 'contact', 'contactno', 'number', 'phoneNumber'.toLowerCase()],
       bloodGroup: ['bloodgroup', 'bloodgrp', 'blood', 'bgroup', 'bloodtype', 'bloodgrpup'],
-      rollNo: ['rollno', 'rollnumber', 'roll', 'enrollment', 'enrollmentno', 'enroll', 'studentid', 'id', 'studentnumber']
+      rollNo: ['rollno', 'rollnumber', 'roll', 'enrollment', 'enrollmentno', 'enroll', 'studentid', 'id', 'studentnumber'],
+      preferredLanguage: ['preferredlanguage', 'language', 'lang', 'smslanguage']
     };
 
     // Build reverse lookup: normalized variant -> canonical
@@ -1318,7 +1374,7 @@ app.post('/admin/donors/import', async (req, res) => {
           if (mapped[canonical] === undefined) mapped[canonical] = rawOriginal[k];
         } else {
           // If header already exactly matches expected canonical (after sanitize) keep it
-          if (['name', 'email', 'phone', 'bloodGroup', 'rollNo'].includes(k)) mapped[k] = rawOriginal[k];
+          if (['name', 'email', 'phone', 'bloodGroup', 'rollNo', 'preferredLanguage'].includes(k)) mapped[k] = rawOriginal[k];
         }
       });
 
@@ -1327,6 +1383,7 @@ app.post('/admin/donors/import', async (req, res) => {
       const phoneRaw = mapped.phone || rawOriginal.phone;
       const rawGroup = mapped.bloodGroup || rawOriginal.bloodGroup || rawOriginal['blood group'];
       const rollNoRaw = mapped.rollNo || rawOriginal.rollNo;
+      const languageRaw = mapped.preferredLanguage || rawOriginal.preferredLanguage;
       const lineInfo = { index: i + 1, email: emailRaw };
 
       if (!nameRaw || !emailRaw || !phoneRaw || !rawGroup) {
@@ -1340,6 +1397,11 @@ app.post('/admin/donors/import', async (req, res) => {
         results.push({ ...lineInfo, status: 'error', reason: `Invalid blood group: ${bloodGroup}` });
         skipped++; continue;
       }
+      const preferredLanguage = languageRaw ? normalizeLanguage(languageRaw) : 'en';
+      if (!preferredLanguage) {
+        results.push({ ...lineInfo, status: 'error', reason: `Unsupported language: ${languageRaw}` });
+        skipped++; continue;
+      }
       const nameGroupKey = `${normName(nameRaw)}|${bloodGroup}`;
       const phoneKey = phoneRaw ? String(phoneRaw).trim() : '';
       const rollKey = rollNoRaw ? String(rollNoRaw).trim().toLowerCase() : '';
@@ -1367,7 +1429,9 @@ app.post('/admin/donors/import', async (req, res) => {
         phone: String(phoneRaw).trim(),
         bloodGroup,
         rollNo: rollNoRaw ? String(rollNoRaw).trim() : undefined,
-        password: hashed
+        preferredLanguage,
+        password: hashed,
+        ...initialConsent({ channel: 'import', source: 'bulk_import' })
       });
       try {
         await donorDoc.save();
@@ -1892,11 +1956,19 @@ app.put('/hospital/profile', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Hospital role required.' });
     }
 
-    const { name, email, phone, address, emergencyContact, radius } = req.body;
+    const { name, email, phone, address, emergencyContact, radius, lat, lng } = req.body;
+    const update = { name, email, phone, address, emergencyContact, radius };
+
+    if (lat !== undefined || lng !== undefined) {
+      if (!isValidCoordinates(lat, lng)) {
+        return res.status(400).json({ success: false, message: 'Invalid hospital coordinates' });
+      }
+      update.location = toPoint(lat, lng);
+    }
 
     const hospital = await Hospital.findByIdAndUpdate(
       req.user.id,
-      { name, email, phone, address, emergencyContact, radius },
+      update,
       { new: true, select: '-password' }
     );
 
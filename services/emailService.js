@@ -1,13 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const Settings = require('../models/Settings');
+const EmailLog = require('../models/EmailLog');
+const { renderEmail, NON_RETRYABLE_TEMPLATES } = require('./emailTemplates');
+
+const FROM = process.env.EMAIL_FROM || 'RaktMap <no-reply@raktmap.app>';
+const FILE_DIR = process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'raktmap-emails');
+
 const generateOTP = () => Math.floor(100000 + Math.random() * 900000).toString();
 
-const sendRegistrationOTP = async (email, otp) => {
-    console.log(`[MOCK EMAIL] Sending registration OTP ${otp} to ${email}`);
-    return true;
+// EMAIL_TRANSPORT picks how mail leaves the server:
+//   smtp   - SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS (Settings.emailApiKey as password fallback)
+//   file   - writes each message as an .eml file under EMAIL_FILE_DIR (local development)
+//   stream - prints the message to the console
+// Defaults to smtp when SMTP_HOST is set, otherwise file.
+const transportName = () => (process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file')).toLowerCase();
+
+let cached = { key: null, transporter: null };
+
+const getTransporter = async () => {
+    const name = transportName();
+
+    if (name === 'smtp') {
+        const settings = await Settings.getSettings();
+        const pass = process.env.SMTP_PASS || settings.emailApiKey;
+        const key = `smtp:${pass}`;
+        if (cached.key !== key) {
+            const port = Number(process.env.SMTP_PORT) || 587;
+            cached = {
+                key,
+                transporter: nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port,
+                    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+                    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass } : undefined
+                })
+            };
+        }
+        return { name, transporter: cached.transporter };
+    }
+
+    if (cached.key !== name) {
+        if (name !== 'file' && name !== 'stream') throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+        cached = {
+            key: name,
+            transporter: nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+        };
+    }
+    return { name, transporter: cached.transporter };
+};
+
+const deliver = async ({ to, subject, text, html }) => {
+    const { name, transporter } = await getTransporter();
+    const info = await transporter.sendMail({ from: FROM, to, subject, text, html });
+
+    if (name === 'file') {
+        await fs.promises.mkdir(FILE_DIR, { recursive: true });
+        const file = path.join(FILE_DIR, `${Date.now()}-${to.replace(/[^\w.@-]/g, '_')}.eml`);
+        await fs.promises.writeFile(file, info.message);
+        console.log(`[MOCK EMAIL] "${subject}" to ${to} written to ${file}`);
+    } else if (name === 'stream') {
+        console.log(`[MOCK EMAIL]\n${info.message.toString()}`);
+    }
+    return { transport: name, messageId: info.messageId };
+};
+
+const attemptDelivery = async (log, content) => {
+    log.attempts += 1;
+    try {
+        const { transport, messageId } = await deliver({ to: log.to, ...content });
+        log.set({ status: 'sent', transport, messageId, sentAt: new Date(), lastError: undefined });
+        await log.save();
+        return log;
+    } catch (err) {
+        log.set({ status: 'failed', transport: transportName(), lastError: err.message });
+        await log.save().catch(e => console.error('[EMAIL] Failed to update email log:', e.message));
+        console.error(`[EMAIL] Failed to send "${log.subject}" to ${log.to}:`, err.message);
+        throw err;
+    }
 };
 
-const sendPasswordResetOTP = async (email, otp) => {
-    console.log(`[MOCK EMAIL] Sending password reset OTP ${otp} to ${email}`);
-    return true;
+// Renders a template, logs the attempt and sends it. Throws if delivery fails.
+// meta: { hospitalId, donorId, requestId } for finding emails later.
+const sendEmail = async (to, template, data, meta = {}) => {
+    const content = renderEmail(template, data);
+    const retryable = !NON_RETRYABLE_TEMPLATES.includes(template);
+
+    const log = await EmailLog.create({
+        to,
+        subject: content.subject,
+        template,
+        retryable,
+        // Don't keep OTP codes around in the log
+        text: retryable ? content.text : undefined,
+        html: retryable ? content.html : undefined,
+        hospitalId: meta.hospitalId,
+        donorId: meta.donorId,
+        requestId: meta.requestId
+    });
+    return attemptDelivery(log, content);
 };
 
-module.exports = { generateOTP, sendRegistrationOTP, sendPasswordResetOTP };
+// Re-sends a failed email from its logged body
+const retryEmail = async (logId) => {
+    const log = await EmailLog.findById(logId);
+    if (!log) throw Object.assign(new Error('Email not found'), { status: 404 });
+    if (log.status !== 'failed') throw Object.assign(new Error('Only failed emails can be retried'), { status: 409 });
+    if (!log.retryable) throw Object.assign(new Error('This email cannot be retried'), { status: 409 });
+    return attemptDelivery(log, { subject: log.subject, text: log.text, html: log.html });
+};
+
+const sendRegistrationOTP = (email, otp, name) => sendEmail(email, 'registration_otp', { otp, name });
+
+const sendPasswordResetOTP = (email, otp, name) => sendEmail(email, 'password_reset', { otp, name });
+
+const sendHospitalApprovalEmail = (hospital) => sendEmail(hospital.email, 'hospital_approved', {
+    name: hospital.name,
+    loginUrl: process.env.FRONTEND_URL
+}, { hospitalId: hospital._id });
+
+const sendDonorAlertEmail = (donor, request, { hospitalName, responseUrl }) => sendEmail(donor.email, 'donor_alert', {
+    donorName: donor.name,
+    hospitalName,
+    bloodGroup: request.bloodGroup,
+    quantity: request.quantity,
+    urgency: request.urgency,
+    requiredBy: request.requiredBy,
+    responseUrl
+}, { donorId: donor._id, requestId: request._id });
+
+const sendEligibilityReminderEmail = (donor, months) => sendEmail(donor.email, 'eligibility_reminder', {
+    name: donor.name,
+    months
+}, { donorId: donor._id });
+
+module.exports = {
+    generateOTP,
+    sendEmail,
+    retryEmail,
+    sendRegistrationOTP,
+    sendPasswordResetOTP,
+    sendHospitalApprovalEmail,
+    sendDonorAlertEmail,
+    sendEligibilityReminderEmail
+};
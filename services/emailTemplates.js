@@ -0,0 +1,148 @@
+// Subject, plain-text and HTML bodies for every email the app sends.
+// Each template takes a data object and returns { subject, text, html }.
+
+const { TIMEZONE } = require('../utils/quietHours');
+
+const APP_NAME = 'RaktMap';
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Shared HTML shell; `body` is already-escaped HTML
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+    <tr><td align="center">
+      <table width="560" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;overflow:hidden;">
+        <tr><td style="background:#b91c1c;color:#ffffff;padding:16px 24px;font-size:20px;font-weight:bold;">${APP_NAME}</td></tr>
+        <tr><td style="padding:24px;">
+          <h2 style="margin:0 0 16px;font-size:18px;">${escapeHtml(title)}</h2>
+          ${body}
+        </td></tr>
+        <tr><td style="padding:16px 24px;font-size:12px;color:#6b7280;border-top:1px solid #e5e7eb;">
+          This is an automated message from ${APP_NAME}. Please do not reply.
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+
+const otpBlock = (otp) =>
+    `<p style="font-size:28px;letter-spacing:6px;font-weight:bold;text-align:center;margin:24px 0;">${escapeHtml(otp)}</p>`;
+
+const greeting = (name) => (name ? `Hello ${name},` : 'Hello,');
+
+const registrationOtp = ({ name, otp, expiresInMinutes = 10 }) => ({
+    subject: `${APP_NAME} - Verify your email`,
+    text: [
+        greeting(name),
+        '',
+        `Your ${APP_NAME} verification code is: ${otp}`,
+        `It expires in ${expiresInMinutes} minutes.`,
+        '',
+        'If you did not request this, you can ignore this email.'
+    ].join('\n'),
+    html: layout('Verify your email', `
+          <p>${escapeHtml(greeting(name))}</p>
+          <p>Use this code to complete your ${APP_NAME} registration:</p>
+          ${otpBlock(otp)}
+          <p>It expires in ${escapeHtml(expiresInMinutes)} minutes. If you did not request this, you can ignore this email.</p>`)
+});
+
+const passwordReset = ({ name, otp, expiresInMinutes = 10 }) => ({
+    subject: `${APP_NAME} - Password reset code`,
+    text: [
+        greeting(name),
+        '',
+        `Your password reset code is: ${otp}`,
+        `It expires in ${expiresInMinutes} minutes.`,
+        '',
+        'If you did not ask to reset your password, please ignore this email. Your password will not change.'
+    ].join('\n'),
+    html: layout('Reset your password', `
+          <p>${escapeHtml(greeting(name))}</p>
+          <p>Use this code to reset your password:</p>
+          ${otpBlock(otp)}
+          <p>It expires in ${escapeHtml(expiresInMinutes)} minutes. If you did not ask to reset your password, please ignore this email.</p>`)
+});
+
+const hospitalApproved = ({ name, loginUrl }) => ({
+    subject: `${APP_NAME} - Your hospital account is approved`,
+    text: [
+        greeting(name),
+        '',
+        `Your hospital account on ${APP_NAME} has been approved. You can now log in and create blood requests.`,
+        loginUrl ? `Log in: ${loginUrl}` : ''
+    ].join('\n').trim(),
+    html: layout('Account approved', `
+          <p>${escapeHtml(greeting(name))}</p>
+          <p>Your hospital account on ${APP_NAME} has been approved. You can now log in and create blood requests.</p>
+          ${loginUrl ? `<p><a href="${escapeHtml(loginUrl)}" style="display:inline-block;background:#b91c1c;color:#ffffff;padding:10px 18px;border-radius:6px;text-decoration:none;">Log in</a></p>` : ''}`)
+});
+
+const donorAlert = ({ donorName, hospitalName, bloodGroup, quantity, urgency, requiredBy, responseUrl }) => {
+    const urgent = urgency === 'high' || urgency === 'pregnancy';
+    const deadline = requiredBy
+        ? new Date(requiredBy).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short', timeZone: TIMEZONE })
+        : null;
+    return {
+        subject: `${urgent ? 'URGENT: ' : ''}${bloodGroup} blood needed at ${hospitalName}`,
+        text: [
+            greeting(donorName),
+            '',
+            `${hospitalName} needs ${quantity} unit(s) of ${bloodGroup} blood${deadline ? ` by ${deadline}` : ''}.`,
+            'You are a compatible donor. Please let us know if you can help:',
+            responseUrl,
+            '',
+            'Thank you for being a donor.'
+        ].join('\n'),
+        html: layout(`${bloodGroup} blood needed`, `
+          <p>${escapeHtml(greeting(donorName))}</p>
+          <p><strong>${escapeHtml(hospitalName)}</strong> needs <strong>${escapeHtml(quantity)} unit(s)</strong> of <strong>${escapeHtml(bloodGroup)}</strong> blood${deadline ? ` by ${escapeHtml(deadline)}` : ''}.</p>
+          <p>You are a compatible donor. Please let us know if you can help:</p>
+          <p><a href="${escapeHtml(responseUrl)}" style="display:inline-block;background:#b91c1c;color:#ffffff;padding:10px 18px;border-radius:6px;text-decoration:none;">Respond to request</a></p>
+          <p>Thank you for being a donor.</p>`)
+    };
+};
+
+const eligibilityReminder = ({ name, months }) => ({
+    subject: `${APP_NAME} - You can donate blood again`,
+    text: [
+        greeting(name),
+        '',
+        `It has been ${months} months since your last blood donation, so you are eligible to donate again.`,
+        'We will let you know when a nearby hospital needs your blood group.',
+        '',
+        'Thank you for saving lives.'
+    ].join('\n'),
+    html: layout('You can donate again', `
+          <p>${escapeHtml(greeting(name))}</p>
+          <p>It has been ${escapeHtml(months)} months since your last blood donation, so you are eligible to donate again.</p>
+          <p>We will let you know when a nearby hospital needs your blood group.</p>
+          <p>Thank you for saving lives.</p>`)
+});
+
+const TEMPLATES = {
+    registration_otp: registrationOtp,
+    password_reset: passwordReset,
+    hospital_approved: hospitalApproved,
+    donor_alert: donorAlert,
+    eligibility_reminder: eligibilityReminder
+};
+
+// OTP emails are useless once the code expires, so they are never re-sent from the log
+const NON_RETRYABLE_TEMPLATES = ['registration_otp', 'password_reset'];
+
+const renderEmail = (template, data) => {
+    const render = TEMPLATES[template];
+    if (!render) throw new Error(`Unknown email template "${template}"`);
+    return render(data || {});
+};
+
+module.exports = { TEMPLATES, NON_RETRYABLE_TEMPLATES, renderEmail, escapeHtml };
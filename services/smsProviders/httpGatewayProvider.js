@@ -0,0 +1,67 @@
+const { normalizePhone } = require('./phone');
+
+// Generic JSON-over-HTTP gateway (MSG91, Gupshup, in-house relays, ...).
+// The request body is { [toField]: number, [messageField]: text, [senderField]: sender }
+// and the provider's message id is read from idField (dot path) in the JSON response.
+const createHttpGatewayProvider = (config = {}) => {
+    const url = config.url || process.env.SMS_HTTP_URL;
+    const method = config.method || process.env.SMS_HTTP_METHOD || 'POST';
+    const authHeader = config.authHeader || process.env.SMS_HTTP_AUTH_HEADER || 'Authorization';
+    const authValue = config.authValue || process.env.SMS_HTTP_AUTH_VALUE;
+    const sender = config.sender || process.env.SMS_HTTP_SENDER;
+    const toField = config.toField || process.env.SMS_HTTP_TO_FIELD || 'to';
+    const messageField = config.messageField || process.env.SMS_HTTP_MESSAGE_FIELD || 'message';
+    const senderField = config.senderField || process.env.SMS_HTTP_SENDER_FIELD || 'sender';
+    const idField = config.idField || process.env.SMS_HTTP_ID_FIELD || 'id';
+    const timeoutMs = Number(config.timeoutMs || process.env.SMS_HTTP_TIMEOUT_MS) || 10000;
+    const name = config.name || 'http';
+    // 4xx errors whose message matches are about the recipient and won't succeed on another gateway
+    const recipientErrorPattern = new RegExp(
+        config.recipientErrorPattern || process.env.SMS_HTTP_RECIPIENT_ERROR_PATTERN
+            || 'invalid\\s*(mobile|phone|number|recipient|msisdn)|unsubscribed|opted.?out|\\bdnd\\b',
+        'i'
+    );
+
+    const readPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+    const send = async (to, body) => {
+        const payload = { [toField]: normalizePhone(to), [messageField]: body };
+        if (sender) payload[senderField] = sender;
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (authValue) headers[authHeader] = authValue;
+
+        try {
+            const response = await fetch(url, {
+                method,
+                headers,
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                const error = String(data.message || data.error || `Gateway responded with ${response.status}`);
+                return {
+                    success: false,
+                    error,
+                    errorCode: String(response.status),
+                    retryable: response.status >= 500 || !recipientErrorPattern.test(error)
+                };
+            }
+            const sid = readPath(data, idField);
+            return { success: true, sid: sid ? String(sid) : undefined, status: 'sent' };
+        } catch (error) {
+            // Network errors and timeouts
+            return { success: false, error: error.message, errorCode: error.name, retryable: true };
+        }
+    };
+
+    return {
+        name,
+        isConfigured: () => Boolean(url),
+        send
+    };
+};
+
+module.exports = { createHttpGatewayProvider };
@@ -0,0 +1,61 @@
+const { createTwilioProvider } = require('./twilioProvider');
+const { createHttpGatewayProvider } = require('./httpGatewayProvider');
+const { createSinkProvider } = require('./sinkProvider');
+
+const FACTORIES = {
+    twilio: createTwilioProvider,
+    http: createHttpGatewayProvider,
+    sink: createSinkProvider
+};
+
+const instances = {};
+
+// Providers are created once per process so the sink keeps its recorded messages
+const getProvider = (name) => {
+    if (!FACTORIES[name]) throw new Error(`Unknown SMS provider "${name}"`);
+    if (!instances[name]) instances[name] = FACTORIES[name]();
+    return instances[name];
+};
+
+// SMS_PROVIDER picks the primary and SMS_FALLBACK_PROVIDERS (comma separated) the failover order.
+// Without SMS_PROVIDER we use Twilio when it has credentials, otherwise the local sink.
+const getProviderChain = () => {
+    const primary = (process.env.SMS_PROVIDER || '').trim().toLowerCase()
+        || (getProvider('twilio').isConfigured() ? 'twilio' : 'sink');
+    const fallbacks = (process.env.SMS_FALLBACK_PROVIDERS || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    return [...new Set([primary, ...fallbacks])]
+        .map(getProvider)
+        .filter(provider => {
+            if (provider.isConfigured()) return true;
+            console.warn(`[SMS] Provider "${provider.name}" is not configured. Skipping.`);
+            return false;
+        });
+};
+
+// Tries each provider in order until one accepts the message. Providers only mark
+// recipient errors (invalid or unsubscribed number) as non-retryable; those stop the
+// chain since other gateways would reject the number too. Auth and account errors fall through.
+const sendWithFailover = async (to, body) => {
+    const chain = getProviderChain();
+    if (chain.length === 0) {
+        return { success: false, error: 'No SMS provider is configured', provider: 'none' };
+    }
+
+    const attempts = [];
+    let result;
+    for (const provider of chain) {
+        result = { ...(await provider.send(to, body)), provider: provider.name };
+        attempts.push({ provider: provider.name, success: result.success, error: result.error });
+        if (result.success) break;
+
+        console.error(`[SMS] Provider "${provider.name}" failed: ${result.error}`);
+        if (result.retryable === false) break;
+    }
+    return { ...result, attempts };
+};
+
+module.exports = { getProvider, getProviderChain, sendWithFailover };
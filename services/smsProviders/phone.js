@@ -0,0 +1,10 @@
+// Basic normalization to E.164: assume +91 (India) for bare 10-digit numbers
+const normalizePhone = (to) => {
+    let formatted = String(to || '').trim().replace(/[\s-]/g, '');
+    if (!formatted.startsWith('+')) {
+        formatted = formatted.length === 10 ? '+91' + formatted : '+' + formatted;
+    }
+    return formatted;
+};
+
+module.exports = { normalizePhone };
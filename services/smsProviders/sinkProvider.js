@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+// Records messages instead of sending them: in memory always, and as JSON lines
+// in SMS_SINK_FILE when set. Used for local development and tests.
+const createSinkProvider = (config = {}) => {
+    const file = config.file || process.env.SMS_SINK_FILE;
+    const maxMessages = Number(config.maxMessages) || 500;
+    const messages = [];
+
+    const send = async (to, body) => {
+        const entry = { sid: `sink_${Date.now()}_${messages.length}`, to, body, at: new Date().toISOString() };
+        messages.push(entry);
+        if (messages.length > maxMessages) messages.shift();
+
+        console.log(`[MOCK SMS] To: ${to}, Body: ${body}`);
+        if (file) {
+            try {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+            } catch (error) {
+                return { success: false, error: error.message, retryable: true };
+            }
+        }
+        return { success: true, sid: entry.sid, status: 'sent' };
+    };
+
+    return {
+        name: 'sink',
+        isConfigured: () => true,
+        send,
+        getMessages: () => messages.slice(),
+        clear: () => { messages.length = 0; }
+    };
+};
+
+module.exports = { createSinkProvider };
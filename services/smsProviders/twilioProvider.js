@@ -0,0 +1,46 @@
+const twilio = require('twilio');
+const { normalizePhone } = require('./phone');
+
+// Twilio calls /sms/status with delivery updates when PUBLIC_BASE_URL is set
+const statusCallbackUrl = () => process.env.PUBLIC_BASE_URL
+    ? `${process.env.PUBLIC_BASE_URL.replace(/\/$/, '')}/sms/status`
+    : undefined;
+
+// Invalid 'To' number, not a valid phone number, unsubscribed (STOP), not SMS capable
+const RECIPIENT_ERROR_CODES = [21211, 21217, 21610, 21614];
+
+const createTwilioProvider = (config = {}) => {
+    const accountSid = config.accountSid || process.env.TWILIO_ACCOUNT_SID;
+    const authToken = config.authToken || process.env.TWILIO_AUTH_TOKEN;
+    const from = config.from || process.env.TWILIO_PHONE_NUMBER;
+    const client = accountSid && authToken ? twilio(accountSid, authToken) : null;
+
+    const send = async (to, body) => {
+        try {
+            const message = await client.messages.create({
+                body,
+                from,
+                to: normalizePhone(to),
+                statusCallback: statusCallbackUrl()
+            });
+            return { success: true, sid: message.sid, status: message.status || 'queued' };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                errorCode: error.code ? String(error.code) : undefined,
+                // Only problems with the number itself fail the same way everywhere; auth,
+                // suspended account or balance errors should fall over to the next provider
+                retryable: !RECIPIENT_ERROR_CODES.includes(Number(error.code))
+            };
+        }
+    };
+
+    return {
+        name: 'twilio',
+        isConfigured: () => Boolean(client && from),
+        send
+    };
+};
+
+module.exports = { createTwilioProvider };
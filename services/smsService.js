@@ -1,59 +1,83 @@
-const twilio = require('twilio');
-
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const twilioNumber = process.env.TWILIO_PHONE_NUMBER;
-
-let client;
-if (accountSid && authToken) {
-    client = twilio(accountSid, authToken);
-}
-
-const sendSMS = async (to, body) => {
-    if (!client) {
-        console.warn('[SMS] Twilio client not initialized. Mocking response.');
-        console.log(`[MOCK SMS] To: ${to}, Body: ${body}`);
-        return { success: true, sid: 'mock_sid_' + Date.now() };
-    }
+const Settings = require('../models/Settings');
+const SmsMessage = require('../models/SmsMessage');
+const { composeMessage, countSegments, DEFAULT_LANGUAGE } = require('../utils/smsTemplate');
+const { sendWithFailover } = require('./smsProviders');
 
+// Sends one SMS and records it in the delivery log.
+// meta: { donorId, requestId, kind } - used to find messages per donor/request later.
+const sendSMS = async (to, body, meta = {}) => {
+    let log = null;
     try {
-        // Basic normalization: ensure it starts with +
-        let formattedTo = to.trim();
-        if (!formattedTo.startsWith('+')) {
-            // Assume +91 (India) if 10 digits and no prefix, or adjust as needed
-            if (formattedTo.length === 10) {
-                formattedTo = '+91' + formattedTo;
-            } else {
-                formattedTo = '+' + formattedTo;
-            }
-        }
-
-        console.log(`[SMS] Sending real SMS to ${formattedTo}...`);
-        const message = await client.messages.create({
-            body: body,
-            from: twilioNumber,
-            to: formattedTo
+        log = await SmsMessage.create({
+            to,
+            body,
+            donorId: meta.donorId,
+            requestId: meta.requestId,
+            kind: meta.kind,
+            ...countSegments(body),
+            statusHistory: [{ status: 'queued' }]
         });
-        console.log(`[SMS] Success! SID: ${message.sid}`);
-        return { success: true, sid: message.sid };
-    } catch (error) {
-        console.error('[SMS] Error sending SMS:', error);
-        return { success: false, error: error.message };
+    } catch (err) {
+        console.error('[SMS] Failed to record outbound message:', err.message);
     }
+
+    console.log(`[SMS] Sending SMS to ${to}...`);
+    const result = await sendWithFailover(to, body);
+    if (result.success) console.log(`[SMS] Sent via ${result.provider}. SID: ${result.sid}`);
+
+    if (log) {
+        const status = result.success ? result.status : 'failed';
+        log.provider = result.provider;
+        log.providerSid = result.sid;
+        log.status = status;
+        log.errorCode = result.errorCode;
+        log.errorMessage = result.error;
+        if (status !== 'queued') log.statusHistory.push({ status, errorCode: result.errorCode });
+        await log.save().catch(err => console.error('[SMS] Failed to update message log:', err.message));
+    }
+
+    return { ...result, messageId: log ? log._id : undefined };
 };
 
+// Applies a provider delivery report to the logged message. Returns the message, or null if unknown.
+const recordSmsStatus = async ({ sid, status, errorCode, errorMessage }) => {
+    const message = await SmsMessage.findOne({ providerSid: sid });
+    if (!message) return null;
+    // Statuses we don't track (e.g. 'received', 'partially_delivered') would fail validation
+    if (!SmsMessage.STATUSES.includes(status)) {
+        console.warn(`[SMS] Ignoring unknown status "${status}" for message ${sid}`);
+        return message;
+    }
 
-const getSMSTemplate = async (priority) => {
-    return "URGENT BLOOD REQUEST: {quantity} units of {bloodType} needed at {hospital}. {urgency}. Respond: {responseUrl}";
+    message.statusHistory.push({ status, errorCode });
+    const rank = SmsMessage.STATUS_RANK;
+    if ((rank[status] ?? 0) >= (rank[message.status] ?? 0)) {
+        message.status = status;
+    }
+    if (errorCode) {
+        message.errorCode = errorCode;
+        message.errorMessage = errorMessage;
+    }
+    await message.save();
+    return message;
 };
 
-const formatSMSMessage = (template, vars) => {
-    let msg = template;
-    for (const key in vars) {
-        msg = msg.replace(`{${key}}`, vars[key]);
+// Template for 'high', 'normal' or 'pregnancy' priority, as edited by admins in Settings.
+// Uses the donor's language when a translation exists, otherwise English.
+const getSMSTemplate = async (priority, language = DEFAULT_LANGUAGE) => {
+    const settings = await Settings.getSettings();
+    const key = Settings.SMS_TEMPLATE_FIELDS[priority] ? priority : 'normal';
+    const field = Settings.SMS_TEMPLATE_FIELDS[key];
+
+    const translation = settings.smsTemplateTranslations && settings.smsTemplateTranslations.get(language);
+    if (language !== DEFAULT_LANGUAGE && translation && translation[key]) {
+        return translation[key];
     }
-    return msg;
+    return settings[field] || Settings.schema.path(field).defaultValue;
 };
 
-module.exports = { sendSMS, getSMSTemplate, formatSMSMessage };
+// Fills every placeholder occurrence and appends the response link if the template has none
+const formatSMSMessage = (template, vars) => composeMessage(template, vars);
+
+module.exports = { sendSMS, recordSmsStatus, getSMSTemplate, formatSMSMessage };
 
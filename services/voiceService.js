@@ -0,0 +1,45 @@
+const twilio = require('twilio');
+const { normalizePhone } = require('./smsProviders/phone');
+
+const accountSid = process.env.TWILIO_ACCOUNT_SID;
+const authToken = process.env.TWILIO_AUTH_TOKEN;
+const voiceNumber = process.env.TWILIO_VOICE_NUMBER || process.env.TWILIO_PHONE_NUMBER;
+
+let client;
+if (accountSid && authToken) {
+    client = twilio(accountSid, authToken);
+}
+
+// Spoken twice so the donor catches it if they pick up late
+const buildTwiml = (message) => {
+    const response = new twilio.twiml.VoiceResponse();
+    response.say({ voice: 'alice', language: 'en-IN' }, message);
+    response.pause({ length: 1 });
+    response.say({ voice: 'alice', language: 'en-IN' }, message);
+    return response.toString();
+};
+
+// Places an automated call that reads out `message`.
+// Returns { success, sid, provider } or { success: false, error, provider }.
+const placeVoiceCall = async (to, message) => {
+    if (!client || !voiceNumber) {
+        console.warn('[VOICE] Twilio voice not configured. Mocking call.');
+        console.log(`[MOCK CALL] To: ${to}, Message: ${message}`);
+        return { success: true, sid: 'mock_call_' + Date.now(), provider: 'mock' };
+    }
+
+    try {
+        const call = await client.calls.create({
+            to: normalizePhone(to),
+            from: voiceNumber,
+            twiml: buildTwiml(message)
+        });
+        console.log(`[VOICE] Call placed. SID: ${call.sid}`);
+        return { success: true, sid: call.sid, provider: 'twilio' };
+    } catch (error) {
+        console.error('[VOICE] Error placing call:', error.message);
+        return { success: false, error: error.message, provider: 'twilio' };
+    }
+};
+
+module.exports = { placeVoiceCall };
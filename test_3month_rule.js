@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Donor = require('./models/Donor');
+const { DONATION_INTERVAL_MONTHS, eligibilityCutoff } = require('./utils/eligibility');
 
 require('dotenv').config();
 
@@ -60,9 +61,8 @@ async function runTest() {
         console.log('\n--- TESTING FILTER LOGIC ---');
         console.log('Simulating request for O+ blood...');
 
-        const threeMonthsAgo = new Date();
-        threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
-        console.log('Cutoff Date (3 months ago):', threeMonthsAgo.toLocaleDateString());
+        const threeMonthsAgo = eligibilityCutoff();
+        console.log(`Cutoff Date (${DONATION_INTERVAL_MONTHS} months ago):`, threeMonthsAgo.toLocaleDateString());
 
         const matchingDonors = createdDonors.filter(donor => {
             // Logic copied from controller
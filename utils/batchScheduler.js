@@ -0,0 +1,182 @@
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const DispatchJob = require('../models/DispatchJob');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+const POLL_INTERVAL_MS = Number(process.env.BATCH_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+const LEASE_MS = 2 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const MAX_JOBS_PER_TICK = 50;
+
+let running = false;
+
+// Create or move the dispatch job for a request so it runs at `runAt`.
+// A job that is currently running keeps its lease; `runAt` is recorded as rerunAt
+// and applied when the run finishes.
+const scheduleDispatch = async (requestId, runAt = new Date()) => {
+    try {
+        return await DispatchJob.findOneAndUpdate(
+            { requestId, status: { $ne: 'running' } },
+            {
+                $set: { status: 'scheduled', runAt, attempts: 0, lockedBy: null, lockedUntil: null },
+                $unset: { completedReason: '', lastError: '', rerunAt: '' }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+        const inFlight = await DispatchJob.findOneAndUpdate(
+            { requestId, status: 'running' },
+            { $min: { rerunAt: runAt } },
+            { new: true }
+        );
+        // The run finished in between; schedule normally
+        return inFlight || scheduleDispatch(requestId, runAt);
+    }
+};
+
+const cancelDispatch = (requestId, reason) => {
+    return DispatchJob.findOneAndUpdate(
+        { requestId, status: { $ne: 'completed' } },
+        { $set: { status: 'completed', completedReason: reason, lockedBy: null, lockedUntil: null } },
+        { new: true }
+    );
+};
+
+// Atomically take the lease on one due job (or one whose lease has expired)
+const claimNextJob = () => {
+    const now = new Date();
+    return DispatchJob.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'scheduled', runAt: { $lte: now } },
+                { status: 'running', lockedUntil: { $lt: now } }
+            ]
+        },
+        {
+            $set: {
+                status: 'running',
+                lockedBy: INSTANCE_ID,
+                lockedUntil: new Date(now.getTime() + LEASE_MS),
+                lastRunAt: now
+            }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+// Only the lease holder may write the result back
+const releaseJob = (job, update) => {
+    return DispatchJob.updateOne(
+        { _id: job._id, lockedBy: INSTANCE_ID },
+        { ...update, $set: { ...(update.$set || {}), lockedBy: null, lockedUntil: null } }
+    );
+};
+
+// Brings a released job forward to any rerunAt requested while it ran
+const applyRerun = async (job) => {
+    const previous = await DispatchJob.findOneAndUpdate(
+        { _id: job._id, lockedBy: null, rerunAt: { $exists: true } },
+        { $unset: { rerunAt: '' } }
+    );
+    if (previous) {
+        await DispatchJob.updateOne({ _id: job._id, status: 'scheduled' }, { $min: { runAt: previous.rerunAt } });
+    }
+};
+
+const runJob = async (job) => {
+    // Required lazily: the controller schedules jobs through this module
+    const { sendNextBatch } = require('../controllers/bloodRequestController');
+
+    try {
+        const outcome = await sendNextBatch(job.requestId);
+
+        if (outcome.done) {
+            await releaseJob(job, { $set: { status: 'completed', completedReason: outcome.reason, attempts: 0 } });
+            console.log(`[Scheduler] Dispatch finished for request ${job.requestId} (${outcome.reason})`);
+        } else {
+            await releaseJob(job, {
+                $set: {
+                    status: 'scheduled',
+                    runAt: outcome.nextRunAt,
+                    attempts: 0,
+                    deferredUntil: outcome.deferredUntil || null
+                },
+                $inc: { batchesSent: outcome.deferredUntil ? 0 : 1 }
+            });
+        }
+    } catch (err) {
+        const attempts = (job.attempts || 0) + 1;
+        console.error(`[Scheduler] Job for request ${job.requestId} failed (attempt ${attempts}):`, err.message);
+
+        if (attempts >= MAX_ATTEMPTS) {
+            await releaseJob(job, { $set: { status: 'failed', attempts, lastError: err.message } });
+        } else {
+            const retryAt = new Date(Date.now() + Math.pow(2, attempts) * 30 * 1000);
+            await releaseJob(job, { $set: { status: 'scheduled', runAt: retryAt, attempts, lastError: err.message } });
+        }
+    }
+    await applyRerun(job);
+};
+
+const processDueJobs = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+        for (let i = 0; i < MAX_JOBS_PER_TICK; i++) {
+            const job = await claimNextJob();
+            if (!job) break;
+            await runJob(job);
+        }
+    } catch (err) {
+        console.error('[Scheduler] Error processing dispatch jobs:', err.message);
+    } finally {
+        running = false;
+    }
+};
+
+// Schedule a request for immediate dispatch and kick the scheduler without waiting for the next tick
+const triggerDispatch = async (requestId) => {
+    await scheduleDispatch(requestId, new Date());
+    processDueJobs();
+};
+
+const getJobState = (requestId) => DispatchJob.findOne({ requestId }).lean();
+
+// Active requests created before the scheduler was persistent have no job yet
+const backfillJobs = async () => {
+    const BloodRequest = require('../models/BloodRequest');
+    const requests = await BloodRequest.find(
+        { status: 'active', 'remainingDonorsQueue.0': { $exists: true } },
+        '_id batchSentAt responseWindow'
+    ).lean();
+
+    for (const request of requests) {
+        const runAt = request.batchSentAt
+            ? new Date(new Date(request.batchSentAt).getTime() + (request.responseWindow || 2) * 60 * 1000)
+            : new Date();
+        await DispatchJob.updateOne(
+            { requestId: request._id },
+            { $setOnInsert: { requestId: request._id, status: 'scheduled', runAt } },
+            { upsert: true }
+        );
+    }
+};
+
+const startBatchScheduler = () => {
+    backfillJobs().catch(err => console.error('[Scheduler] Failed to backfill dispatch jobs:', err.message));
+    setInterval(processDueJobs, POLL_INTERVAL_MS);
+    // Run once shortly after startup to pick up jobs that came due while we were down
+    setTimeout(processDueJobs, 10000);
+    console.log(`✅ Batch SMS Scheduler started (${POLL_INTERVAL_MS / 1000}s interval, instance ${INSTANCE_ID})`);
+};
+
+module.exports = {
+    startBatchScheduler,
+    scheduleDispatch,
+    cancelDispatch,
+    triggerDispatch,
+    processDueJobs,
+    getJobState
+};
@@ -0,0 +1,65 @@
+// Red cell compatibility for whole blood transfusion.
+// Keys are recipient groups, values are the donor groups they can safely receive.
+const RED_CELL_COMPATIBILITY = {
+    'O-': ['O-'],
+    'O+': ['O+', 'O-'],
+    'A-': ['A-', 'O-'],
+    'A+': ['A+', 'A-', 'O+', 'O-'],
+    'B-': ['B-', 'O-'],
+    'B+': ['B+', 'B-', 'O+', 'O-'],
+    'AB-': ['AB-', 'A-', 'B-', 'O-'],
+    'AB+': ['AB+', 'AB-', 'A+', 'A-', 'B+', 'B-', 'O+', 'O-']
+};
+
+const UNIVERSAL_DONOR = 'O-';
+const EMERGENCY_URGENCIES = ['high', 'pregnancy'];
+
+// Queue order: exact matches first, universal donors last
+const RULE_RANK = {
+    exact: 0,
+    rh_compatible: 1,
+    abo_compatible: 2,
+    universal: 3
+};
+
+const normalizeBloodGroup = (value) => {
+    if (!value) return '';
+    return String(value).replace(/\s+/g, '').toUpperCase();
+};
+
+const isEmergency = (urgency) => EMERGENCY_URGENCIES.includes(urgency);
+
+const splitGroup = (group) => ({ abo: group.slice(0, -1), rh: group.slice(-1) });
+
+// Returns the rule that lets donorGroup give to recipientGroup, or null if it may not.
+// O- donors are held back for emergencies unless the patient is O- themselves.
+const getCompatibilityRule = (recipientGroup, donorGroup, urgency) => {
+    const recipient = normalizeBloodGroup(recipientGroup);
+    const donor = normalizeBloodGroup(donorGroup);
+    const allowed = RED_CELL_COMPATIBILITY[recipient];
+
+    if (!allowed || !allowed.includes(donor)) return null;
+    if (donor === recipient) return 'exact';
+    if (donor === UNIVERSAL_DONOR) return isEmergency(urgency) ? 'universal' : null;
+    if (splitGroup(donor).abo === splitGroup(recipient).abo) return 'rh_compatible';
+    return 'abo_compatible';
+};
+
+// Donor groups that may be queued for a request of this group and urgency
+const getEligibleDonorGroups = (recipientGroup, urgency) => {
+    const recipient = normalizeBloodGroup(recipientGroup);
+    return (RED_CELL_COMPATIBILITY[recipient] || [])
+        .filter(group => getCompatibilityRule(recipient, group, urgency) !== null);
+};
+
+const compareRules = (a, b) => RULE_RANK[a] - RULE_RANK[b];
+
+module.exports = {
+    RED_CELL_COMPATIBILITY,
+    RULE_RANK,
+    normalizeBloodGroup,
+    isEmergency,
+    getCompatibilityRule,
+    getEligibleDonorGroups,
+    compareRules
+};
@@ -0,0 +1,31 @@
+const Donor = require('../models/Donor');
+
+// Query fragment for donors we are allowed to text
+const SMS_ALLOWED = { smsOptedOut: { $ne: true } };
+
+// Records an opt-in/opt-out for one or more donors. Only donors whose state
+// actually changes get a record, so repeated STOPs don't pile up.
+// details: { channel: 'sms'|'web'|'admin'|'import', source, keyword, by }
+const recordConsent = (donorIds, action, { channel, source, keyword, by } = {}) => {
+    const optOut = action === 'opt_out';
+    const now = new Date();
+    return Donor.updateMany(
+        { _id: { $in: donorIds }, smsOptedOut: optOut ? { $ne: true } : true },
+        {
+            $set: { smsOptedOut: optOut, smsOptedOutAt: optOut ? now : null },
+            $push: { consentRecords: { action, channel, source, keyword, by, at: now } }
+        }
+    );
+};
+
+// Fields for a new donor: the opt-in given when they were signed up, with where it came from.
+// Overrides anything the client sent, since the audit trail is ours to write.
+const initialConsent = ({ channel, source, by } = {}) => ({
+    smsOptedOut: false,
+    smsOptedOutAt: null,
+    consentRecords: [{ action: 'opt_in', channel, source, by, at: new Date() }]
+});
+
+const isOptedOut = async (donorId) => Boolean(await Donor.exists({ _id: donorId, smsOptedOut: true }));
+
+module.exports = { SMS_ALLOWED, recordConsent, initialConsent, isOptedOut };
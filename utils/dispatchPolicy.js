@@ -0,0 +1,67 @@
+// How wide and how fast each urgency fans out before other factors are applied
+const URGENCY_PROFILES = {
+    pregnancy: { donorsPerUnit: 4, windowMinutes: 3 },
+    high: { donorsPerUnit: 3, windowMinutes: 5 },
+    medium: { donorsPerUnit: 2, windowMinutes: 10 },
+    low: { donorsPerUnit: 1, windowMinutes: 20 }
+};
+
+const MIN_BATCH_SIZE = 1;
+const MAX_BATCH_SIZE = 25;
+const MIN_WINDOW_MINUTES = 2;
+
+// Until enough donors have been contacted we assume roughly one in three says yes
+const DEFAULT_ACCEPTANCE_RATE = 0.3;
+const MIN_ACCEPTANCE_SAMPLE = 5;
+const MIN_ACCEPTANCE_RATE = 0.05;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const observedAcceptanceRate = (request) => {
+    const notified = (request.notifiedDonors || []).length;
+    if (notified < MIN_ACCEPTANCE_SAMPLE) return DEFAULT_ACCEPTANCE_RATE;
+    return Math.max(MIN_ACCEPTANCE_RATE, (request.confirmedUnits || 0) / notified);
+};
+
+// Fan out wider when the deadline is close
+const timePressureFactor = (minutesLeft) => {
+    if (minutesLeft <= 60) return 2;
+    if (minutesLeft <= 180) return 1.5;
+    return 1;
+};
+
+// Batch size and response window for the next batch of a request.
+// Re-evaluated before every batch, so it reacts to confirmations and the clock.
+const computeDispatchPolicy = (request, now = new Date()) => {
+    const profile = URGENCY_PROFILES[request.urgency] || URGENCY_PROFILES.medium;
+    const unitsNeeded = Math.max(1, request.quantity - (request.confirmedUnits || 0));
+    const acceptanceRate = observedAcceptanceRate(request);
+    const minutesLeft = Math.max(0, (new Date(request.requiredBy).getTime() - now.getTime()) / (60 * 1000));
+
+    // Low acceptance means we need to ask more people per unit still needed
+    const acceptanceFactor = clamp(DEFAULT_ACCEPTANCE_RATE / acceptanceRate, 0.5, 3);
+    const queued = (request.remainingDonorsQueue || []).length;
+
+    const batchSize = clamp(
+        Math.ceil(unitsNeeded * profile.donorsPerUnit * acceptanceFactor * timePressureFactor(minutesLeft)),
+        MIN_BATCH_SIZE,
+        Math.max(MIN_BATCH_SIZE, Math.min(MAX_BATCH_SIZE, queued || MAX_BATCH_SIZE))
+    );
+
+    // Leave time for at least a few more rounds before requiredBy
+    const responseWindow = Math.max(
+        MIN_WINDOW_MINUTES,
+        Math.min(profile.windowMinutes, Math.floor(minutesLeft / 4))
+    );
+
+    return {
+        batchSize,
+        responseWindow,
+        unitsNeeded,
+        acceptanceRate: Math.round(acceptanceRate * 100) / 100,
+        minutesLeft: Math.round(minutesLeft),
+        evaluatedAt: now
+    };
+};
+
+module.exports = { computeDispatchPolicy, URGENCY_PROFILES };
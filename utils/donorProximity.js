@@ -0,0 +1,55 @@
+const Donor = require('../models/Donor');
+const { hasPoint } = require('./geo');
+
+const DEFAULT_RADIUS_KM = 10;
+const MAX_SEARCH_RADIUS_KM = Number(process.env.DONOR_SEARCH_MAX_RADIUS_KM) || 50;
+const RADIUS_GROWTH_FACTOR = 2;
+
+// Finds donors matching `query` around the hospital, nearest first.
+// Starts at the hospital's radius and doubles it (up to MAX_SEARCH_RADIUS_KM)
+// until at least `minDonors` are found. If even the widest radius is short,
+// donors who have never shared a location are appended after the located ones.
+const findDonorsNearHospital = async (hospital, query, { minDonors = 1 } = {}) => {
+    if (!hasPoint(hospital)) {
+        const donors = await Donor.find(query).lean();
+        return { radiusKm: null, results: donors.map(donor => ({ donor, distanceKm: null })) };
+    }
+
+    const baseRadius = hospital.radius || DEFAULT_RADIUS_KM;
+    const maxRadius = Math.max(baseRadius, MAX_SEARCH_RADIUS_KM);
+
+    // One query at the widest radius, then pick the smallest step that is enough
+    const located = await Donor.aggregate([
+        {
+            $geoNear: {
+                near: hospital.location,
+                distanceField: 'distanceMeters',
+                maxDistance: maxRadius * 1000,
+                query,
+                spherical: true
+            }
+        }
+    ]);
+
+    let radiusKm = baseRadius;
+    const countWithin = (km) => located.filter(d => d.distanceMeters <= km * 1000).length;
+    while (countWithin(radiusKm) < minDonors && radiusKm < maxRadius) {
+        radiusKm = Math.min(radiusKm * RADIUS_GROWTH_FACTOR, maxRadius);
+    }
+
+    const results = located
+        .filter(d => d.distanceMeters <= radiusKm * 1000)
+        .map(({ distanceMeters, ...donor }) => ({
+            donor,
+            distanceKm: Math.round(distanceMeters / 10) / 100
+        }));
+
+    if (results.length < minDonors && radiusKm >= maxRadius) {
+        const unlocated = await Donor.find({ ...query, 'location.coordinates': { $exists: false } }).lean();
+        results.push(...unlocated.map(donor => ({ donor, distanceKm: null })));
+    }
+
+    return { radiusKm, results };
+};
+
+module.exports = { findDonorsNearHospital, MAX_SEARCH_RADIUS_KM };
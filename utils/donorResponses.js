@@ -0,0 +1,118 @@
+const BloodRequest = require('../models/BloodRequest');
+const Donor = require('../models/Donor');
+const ResponseToken = require('../models/ResponseToken');
+const DonationHistory = require('../models/DonationHistory');
+const Notification = require('../models/Notification');
+const { broadcastNotification } = require('./notificationStream');
+const { triggerDispatch } = require('./batchScheduler');
+const { TOKEN_ERROR_MESSAGES } = require('./responseLink');
+
+// HTTP status and donor-facing message for each recordDonorResponse error
+const RESPONSE_ERRORS = {
+    used: { status: 409, message: TOKEN_ERROR_MESSAGES.used },
+    closed: { status: 410, message: TOKEN_ERROR_MESSAGES.revoked },
+    fulfilled: { status: 409, message: 'Thank you! This request has already been fulfilled.' }
+};
+
+const notifyHospital = async (request, donor, response, { reason, etaMinutes, channel }) => {
+    try {
+        const accepted = response === 'accepted';
+        const details = accepted
+            ? (etaMinutes ? ` ETA ${etaMinutes} min.` : '')
+            : (reason ? ` Reason: ${reason}` : '');
+        const notif = await Notification.create({
+            hospitalId: request.hospitalId._id || request.hospitalId,
+            type: accepted ? 'success' : 'info',
+            title: accepted ? `Donor Accepted (${channel.toUpperCase()})` : `Donor Declined (${channel.toUpperCase()})`,
+            message: `${donor.name} (${donor.bloodGroup}) ${accepted ? 'accepted' : 'declined'} the ${request.bloodGroup} request.${details}`,
+            donorId: donor._id,
+            bloodRequestId: request._id,
+            meta: { bloodRequestId: request._id, donorId: donor._id, channel, etaMinutes, reason }
+        });
+        broadcastNotification(notif);
+    } catch (e) {
+        console.error('Failed to create notification', e);
+    }
+};
+
+// One history row per donor and request, updated as their answer changes
+const upsertHistory = (request, donor, response, { reason, etaMinutes, channel }) => {
+    const now = new Date();
+    const set = {
+        hospitalId: request.hospitalId._id || request.hospitalId,
+        donorName: donor.name,
+        donorPhone: donor.phone,
+        donorBloodGroup: donor.bloodGroup,
+        status: response,
+        responseChannel: channel
+    };
+    if (response === 'accepted') {
+        set.acceptedAt = now;
+        if (etaMinutes) set.expectedArrivalAt = new Date(now.getTime() + etaMinutes * 60 * 1000);
+    } else {
+        set.declinedAt = now;
+        if (reason) set.declineReason = reason;
+    }
+    if (donor.location && donor.location.coordinates) {
+        set.location = { lat: donor.location.coordinates[1], lng: donor.location.coordinates[0] };
+    }
+
+    return DonationHistory.findOneAndUpdate(
+        { donorId: String(donor._id), bloodRequestId: request._id },
+        { $set: set },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+// The response didn't count, so the link must not read as accepted/declined
+const releaseClaim = (token) => ResponseToken.updateOne(
+    { _id: token._id },
+    { $set: { isUsed: false, response: null }, $unset: { respondedAt: 1, responseChannel: 1 } }
+);
+
+// Records a donor's accept/decline from any channel (web link, SMS reply).
+// `token` is a ResponseToken that has been validated but not yet used.
+// Resolves to { history, request, donor } or { error } where error is 'used' | 'closed' | 'fulfilled'.
+const recordDonorResponse = async (token, response, { reason, etaMinutes, channel = 'web' } = {}) => {
+    // Single use: whoever flips isUsed first owns the response
+    const claimed = await ResponseToken.findOneAndUpdate(
+        { _id: token._id, isUsed: false, revokedAt: null },
+        { $set: { isUsed: true, response, respondedAt: new Date(), responseChannel: channel, nextEscalationAt: null } },
+        { new: true }
+    );
+    if (!claimed) return { error: 'used' };
+
+    const [request, donor] = await Promise.all([
+        BloodRequest.findById(claimed.requestId).populate('hospitalId', 'name'),
+        Donor.findById(claimed.donorId)
+    ]);
+    if (!request || !donor || request.status !== 'active') {
+        await releaseClaim(claimed);
+        return { error: 'closed' };
+    }
+
+    let current = request;
+    if (response === 'accepted') {
+        // Required lazily: the controller uses this module for web confirmations
+        const { confirmUnit } = require('../controllers/bloodRequestController');
+        const updated = await confirmUnit(request._id);
+        if (!updated) {
+            await releaseClaim(claimed);
+            return { error: 'fulfilled' };
+        }
+        current = updated;
+    }
+
+    const history = await upsertHistory(request, donor, response, { reason, etaMinutes, channel });
+    await notifyHospital(request, donor, response, { reason, etaMinutes, channel });
+
+    // A decline leaves a slot open; don't wait out the response window to fill it
+    if (response === 'declined' && current.confirmedUnits < current.quantity) {
+        triggerDispatch(request._id)
+            .catch(err => console.error(`Failed to trigger next batch for ${request._id}:`, err.message));
+    }
+
+    return { history, request, donor };
+};
+
+module.exports = { recordDonorResponse, RESPONSE_ERRORS };
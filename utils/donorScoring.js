@@ -0,0 +1,105 @@
+const ResponseToken = require('../models/ResponseToken');
+const DonationHistory = require('../models/DonationHistory');
+const OutboxMessage = require('../models/OutboxMessage');
+
+// Relative weight of each factor in the final 0-100 score
+const WEIGHTS = {
+    responseRate: 0.35,
+    distance: 0.3,
+    fatigue: 0.2,
+    recency: 0.15
+};
+
+// Response tokens expire after 24h, so fatigue looks at the same window
+const FATIGUE_WINDOW_HOURS = 24;
+const RECENCY_FULL_SCORE_MONTHS = 12;
+const NEVER_DONATED_RECENCY = 0.75;
+const UNKNOWN_DISTANCE_SCORE = 0.3;
+
+const round = (value) => Math.round(value * 100) / 100;
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const countByDonor = (rows) => {
+    const map = new Map();
+    rows.forEach(row => map.set(String(row._id), row));
+    return map;
+};
+
+const requestSetsByDonor = (rows) => {
+    const map = new Map();
+    rows.forEach(row => map.set(String(row._id), new Set(row.requests.map(String))));
+    return map;
+};
+
+// Loads notification and response history for many donors. Response tokens expire
+// after 24h, so they only feed fatigue; the response rate comes from the outbox
+// (requests a donor was sent an SMS for) and donation history, which are kept.
+const loadHistory = async (donorIds) => {
+    const fatigueSince = new Date(Date.now() - FATIGUE_WINDOW_HOURS * 60 * 60 * 1000);
+
+    const [tokens, sent, donationResponses] = await Promise.all([
+        ResponseToken.aggregate([
+            { $match: { donorId: { $in: donorIds }, createdAt: { $gte: fatigueSince } } },
+            { $group: { _id: '$donorId', recent: { $sum: 1 } } }
+        ]),
+        OutboxMessage.aggregate([
+            { $match: { donorId: { $in: donorIds }, kind: 'blood_request', status: 'sent' } },
+            { $group: { _id: '$donorId', requests: { $addToSet: '$requestId' } } }
+        ]),
+        // Any answer counts as a response, including a decline
+        DonationHistory.aggregate([
+            { $match: { donorId: { $in: donorIds.map(String) }, status: { $in: ['accepted', 'declined', 'completed'] } } },
+            { $group: { _id: '$donorId', requests: { $addToSet: '$bloodRequestId' } } }
+        ])
+    ]);
+
+    return {
+        tokens: countByDonor(tokens),
+        notified: requestSetsByDonor(sent),
+        responses: requestSetsByDonor(donationResponses)
+    };
+};
+
+// Smoothed so a donor with no history starts at 0.5 rather than 0 or 1.
+// A request the donor answered counts as notified even if its SMS predates the outbox.
+const responseRateScore = (notifiedRequests, respondedRequests) => {
+    const responded = respondedRequests || new Set();
+    const notified = new Set([...(notifiedRequests || []), ...responded]);
+    return (responded.size + 1) / (notified.size + 2);
+};
+
+const recencyScore = (lastDonationDate) => {
+    if (!lastDonationDate) return NEVER_DONATED_RECENCY;
+    const months = (Date.now() - new Date(lastDonationDate).getTime()) / (30 * 24 * 60 * 60 * 1000);
+    return clamp(months / RECENCY_FULL_SCORE_MONTHS);
+};
+
+const distanceScore = (distanceKm, radiusKm) => {
+    if (distanceKm === null || distanceKm === undefined || !radiusKm) return UNKNOWN_DISTANCE_SCORE;
+    return clamp(1 - distanceKm / radiusKm);
+};
+
+const fatigueScore = (tokenStats) => 1 / (1 + (tokenStats ? tokenStats.recent : 0));
+
+// Scores donor candidates ({ donor, distanceKm }) and returns Map<donorId, { score, breakdown }>
+const scoreDonors = async (candidates, { radiusKm } = {}) => {
+    const donorIds = candidates.map(c => c.donor._id);
+    const { tokens, notified, responses } = await loadHistory(donorIds);
+
+    const scores = new Map();
+    candidates.forEach(({ donor, distanceKm }) => {
+        const id = String(donor._id);
+        const breakdown = {
+            responseRate: round(responseRateScore(notified.get(id), responses.get(id))),
+            recency: round(recencyScore(donor.lastDonationDate)),
+            distance: round(distanceScore(distanceKm, radiusKm)),
+            fatigue: round(fatigueScore(tokens.get(id)))
+        };
+        const score = Object.keys(WEIGHTS)
+            .reduce((sum, factor) => sum + WEIGHTS[factor] * breakdown[factor], 0);
+        scores.set(id, { score: Math.round(score * 100), breakdown });
+    });
+    return scores;
+};
+
+module.exports = { scoreDonors, WEIGHTS };
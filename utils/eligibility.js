@@ -0,0 +1,29 @@
+// Minimum gap between whole-blood donations. Donors inside it are left out of
+// request queues and get an eligibility reminder when it ends.
+const DONATION_INTERVAL_MONTHS = Number(process.env.DONATION_INTERVAL_MONTHS) || 3;
+
+const monthsBefore = (date, months) => {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() - months);
+    return result;
+};
+
+// Donors whose last donation is on or before this date may donate again
+const eligibilityCutoff = (now = new Date()) => monthsBefore(now, DONATION_INTERVAL_MONTHS);
+
+// When a donor who last gave blood on `lastDonationDate` becomes eligible
+const eligibleFrom = (lastDonationDate) => {
+    const date = new Date(lastDonationDate);
+    date.setMonth(date.getMonth() + DONATION_INTERVAL_MONTHS);
+    return date;
+};
+
+// Query fragment for donors who are past the interval (or never donated)
+const eligibleDonorFilter = (now = new Date()) => ({
+    $or: [
+        { lastDonationDate: null },
+        { lastDonationDate: { $lte: eligibilityCutoff(now) } }
+    ]
+});
+
+module.exports = { DONATION_INTERVAL_MONTHS, eligibilityCutoff, eligibleFrom, eligibleDonorFilter };
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Donor = require('../models/Donor');
+const Settings = require('../models/Settings');
+const { sendEligibilityReminderEmail } = require('../services/emailService');
+const { enqueueMessages, processOutbox } = require('./outboxWorker');
+const { DONATION_INTERVAL_MONTHS, eligibilityCutoff } = require('./eligibility');
+const { isWithinWindow } = require('./quietHours');
+
+const REMINDER_INTERVAL_MS = Number(process.env.ELIGIBILITY_REMINDER_INTERVAL_MS) || 60 * 60 * 1000;
+// Only donors who became eligible recently; we don't message people about donations from years ago
+const LOOKBACK_DAYS = 30;
+const MAX_DONORS_PER_RUN = 200;
+
+let running = false;
+
+const reminderSms = (name) =>
+    `Hi ${name}, it has been ${DONATION_INTERVAL_MONTHS} months since your last blood donation and you can donate again. ` +
+    'We will message you when a nearby hospital needs you. Thank you! - RaktMap. Reply STOP to opt out.';
+
+// Atomically takes one donor who is due a reminder and stamps it, so no other
+// instance (or later run) reminds them again for the same donation
+const claimNextDonor = (now) => {
+    const cutoff = eligibilityCutoff(now);
+    return Donor.findOneAndUpdate(
+        {
+            lastDonationDate: { $lte: cutoff, $gt: new Date(cutoff.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000) },
+            $expr: { $ne: ['$eligibilityReminder.donationDate', '$lastDonationDate'] }
+        },
+        [{
+            $set: {
+                eligibilityReminder: { donationDate: '$lastDonationDate', sentAt: now, channels: [] }
+            }
+        }],
+        { new: true, projection: 'name email phone smsOptedOut lastDonationDate' }
+    );
+};
+
+const remindDonor = async (donor) => {
+    const channels = [];
+
+    if (donor.phone && !donor.smsOptedOut) {
+        await enqueueMessages([{ to: donor.phone, body: reminderSms(donor.name), donorId: donor._id, kind: 'reminder' }]);
+        channels.push('sms');
+    }
+    if (donor.email) {
+        try {
+            await sendEligibilityReminderEmail(donor, DONATION_INTERVAL_MONTHS);
+            channels.push('email');
+        } catch (err) {
+            // Logged in EmailLog and retryable from the admin panel
+            console.error(`[Reminders] Email to donor ${donor._id} failed:`, err.message);
+        }
+    }
+
+    await Donor.updateOne({ _id: donor._id }, { $set: { 'eligibilityReminder.channels': channels } });
+    return channels.length > 0;
+};
+
+const sendEligibilityReminders = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+        // Reminders aren't urgent: keep them inside the configured notification hours
+        const settings = await Settings.getSettings();
+        const now = new Date();
+        if (!isWithinWindow(now, settings.notificationStartTime, settings.notificationEndTime)) return;
+
+        let sent = 0;
+        for (let i = 0; i < MAX_DONORS_PER_RUN; i++) {
+            const donor = await claimNextDonor(now);
+            if (!donor) break;
+            try {
+                if (await remindDonor(donor)) sent++;
+            } catch (err) {
+                console.error(`[Reminders] Failed to remind donor ${donor._id}:`, err.message);
+            }
+        }
+
+        if (sent > 0) {
+            processOutbox();
+            console.log(`[Reminders] Sent ${sent} eligibility reminder(s)`);
+        }
+    } catch (err) {
+        console.error('[Reminders] Error sending eligibility reminders:', err.message);
+    } finally {
+        running = false;
+    }
+};
+
+const startEligibilityReminders = () => {
+    setInterval(sendEligibilityReminders, REMINDER_INTERVAL_MS);
+    setTimeout(sendEligibilityReminders, 30 * 1000);
+    console.log(`✅ Eligibility reminder job started (${REMINDER_INTERVAL_MS / 60000} min interval)`);
+};
+
+module.exports = { startEligibilityReminders, sendEligibilityReminders };
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const ResponseToken = require('../models/ResponseToken');
+const BloodRequest = require('../models/BloodRequest');
+const Donor = require('../models/Donor');
+const Settings = require('../models/Settings');
+const { sendDonorAlertEmail } = require('../services/emailService');
+const { placeVoiceCall } = require('../services/voiceService');
+const { isEmergency } = require('./bloodCompatibility');
+const { isWithinWindow, nextAllowedTime } = require('./quietHours');
+const { buildResponseUrl } = require('./responseLink');
+const { shortUrlForToken } = require('./shortLinks');
+
+const POLL_INTERVAL_MS = Number(process.env.ESCALATION_INTERVAL_MS) || 60 * 1000;
+const MAX_TOKENS_PER_TICK = 100;
+
+let running = false;
+
+// SMS goes out with the batch; the worker walks the rest of the ladder.
+// Voice calls are reserved for emergencies.
+const escalationLadder = (urgency) => (isEmergency(urgency) ? ['sms', 'email', 'voice'] : ['sms', 'email']);
+
+// Clearing nextEscalationAt is the claim: only one instance gets each due token
+const claimNextToken = () => {
+    return ResponseToken.findOneAndUpdate(
+        { nextEscalationAt: { $lte: new Date() }, isUsed: false, revokedAt: null },
+        { $set: { nextEscalationAt: null } },
+        { sort: { nextEscalationAt: 1 }, new: true }
+    );
+};
+
+const donorPhone = (donor) => donor.phoneNumber || donor["Mobile No"] || donor.phone;
+
+const voiceMessage = (request, hospitalName) =>
+    `This is an urgent call from RaktMap. ${hospitalName} needs ${request.bloodGroup} blood for a patient. ` +
+    'You are a compatible donor. Please reply YES to the text message we sent you, or open the link in it, if you can donate.';
+
+const contact = async (channel, token, donor, request, hospitalName) => {
+    if (channel === 'email') {
+        if (!donor.email) return { status: 'skipped', error: 'No email address' };
+        try {
+            const log = await sendDonorAlertEmail(donor, request, {
+                hospitalName,
+                responseUrl: await shortUrlForToken(token.token, buildResponseUrl(request._id, token.token))
+            });
+            return { status: 'sent', reference: String(log._id) };
+        } catch (err) {
+            return { status: 'failed', error: err.message };
+        }
+    }
+
+    if (channel === 'voice') {
+        const phone = donorPhone(donor);
+        if (!phone) return { status: 'skipped', error: 'No phone number' };
+        const result = await placeVoiceCall(phone, voiceMessage(request, hospitalName));
+        return result.success
+            ? { status: 'sent', reference: result.sid }
+            : { status: 'failed', error: result.error };
+    }
+
+    return { status: 'skipped', error: `Unsupported channel ${channel}` };
+};
+
+// Moves one unanswered donor to the next channel. Skipped or failed channels
+// fall straight through to the one after, so a donor without email still gets the call.
+const escalateToken = async (token) => {
+    const request = await BloodRequest.findById(token.requestId).populate('hospitalId', 'name');
+    if (!request || request.status !== 'active') return;
+
+    const donor = await Donor.findById(token.donorId);
+    // Opting out covers follow-ups on other channels too
+    if (!donor || donor.smsOptedOut) return;
+
+    // Same notification hours as SMS batches: hold the email/call until the window opens
+    const { notificationStartTime, notificationEndTime, emergencyOverride } = await Settings.getSettings();
+    const now = new Date();
+    const overridden = emergencyOverride && isEmergency(request.urgency);
+    if (!overridden && !isWithinWindow(now, notificationStartTime, notificationEndTime)) {
+        const resumeAt = nextAllowedTime(now, notificationStartTime, notificationEndTime);
+        await ResponseToken.updateOne(
+            { _id: token._id, isUsed: false, revokedAt: null },
+            { $set: { nextEscalationAt: resumeAt } }
+        );
+        console.log(`[Escalation] Quiet hours: holding donor ${donor._id} on request ${request._id} until ${resumeAt.toISOString()}`);
+        return;
+    }
+
+    const ladder = escalationLadder(request.urgency);
+    const used = new Set(token.channels.map(entry => entry.channel));
+    const hospitalName = request.hospitalId ? request.hospitalId.name : 'the hospital';
+
+    for (const channel of ladder.filter(step => !used.has(step))) {
+        const outcome = await contact(channel, token, donor, request, hospitalName);
+        const entry = { channel, at: new Date(), ...outcome };
+        const remaining = ladder.indexOf(channel) < ladder.length - 1;
+        const delivered = outcome.status === 'sent';
+
+        await ResponseToken.updateOne(
+            { _id: token._id },
+            {
+                $push: { channels: entry },
+                $set: {
+                    // Give the donor a full response window on this channel before the next one
+                    nextEscalationAt: delivered && remaining
+                        ? new Date(Date.now() + (request.responseWindow || 10) * 60 * 1000)
+                        : null
+                }
+            }
+        );
+        console.log(`[Escalation] Donor ${donor._id} on request ${request._id}: ${channel} ${outcome.status}`);
+        if (delivered) return;
+    }
+};
+
+const processEscalations = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+        for (let i = 0; i < MAX_TOKENS_PER_TICK; i++) {
+            const token = await claimNextToken();
+            if (!token) break;
+            try {
+                await escalateToken(token);
+            } catch (err) {
+                console.error(`[Escalation] Failed to escalate token ${token._id}:`, err.message);
+            }
+        }
+    } catch (err) {
+        console.error('[Escalation] Error processing escalations:', err.message);
+    } finally {
+        running = false;
+    }
+};
+
+const startEscalationWorker = () => {
+    setInterval(processEscalations, POLL_INTERVAL_MS);
+    console.log(`✅ Donor escalation worker started (${POLL_INTERVAL_MS / 1000}s interval)`);
+};
+
+module.exports = { startEscalationWorker, processEscalations, escalationLadder };
@@ -0,0 +1,21 @@
+// Fallback average travel speeds (km/h) by request urgency, for city traffic.
+// Admins can override each one through Settings.etaSpeedKmh.
+const DEFAULT_SPEEDS_KMH = {
+    pregnancy: 35,
+    high: 35,
+    medium: 30,
+    low: 25
+};
+
+const speedFor = (settings, urgency) => {
+    const configured = settings && settings.etaSpeedKmh && settings.etaSpeedKmh[urgency];
+    return configured > 0 ? configured : (DEFAULT_SPEEDS_KMH[urgency] || DEFAULT_SPEEDS_KMH.low);
+};
+
+// Straight-line estimate in whole minutes; null when the distance is unknown
+const etaMinutes = (distanceKm, speedKmh) => {
+    if (distanceKm === null || distanceKm === undefined || !speedKmh) return null;
+    return Math.ceil((distanceKm / speedKmh) * 60);
+};
+
+module.exports = { DEFAULT_SPEEDS_KMH, speedFor, etaMinutes };
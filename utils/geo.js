@@ -0,0 +1,48 @@
+const EARTH_RADIUS_KM = 6371;
+
+// Finite numbers or numeric strings only; Number() alone would turn null, '' and true into 0/1
+const parseNumber = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+};
+
+const isValidCoordinates = (lat, lng) => {
+    const latitude = parseNumber(lat);
+    const longitude = parseNumber(lng);
+    return latitude !== null && longitude !== null &&
+        latitude >= -90 && latitude <= 90 &&
+        longitude >= -180 && longitude <= 180;
+};
+
+// GeoJSON stores [longitude, latitude]
+const toPoint = (lat, lng) => ({
+    type: 'Point',
+    coordinates: [Number(lng), Number(lat)]
+});
+
+const hasPoint = (doc) => Boolean(
+    doc && doc.location && Array.isArray(doc.location.coordinates) && doc.location.coordinates.length === 2
+);
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+// Straight-line distance between two GeoJSON points
+const haversineKm = (from, to) => {
+    const [lng1, lat1] = from.coordinates;
+    const [lng2, lat2] = to.coordinates;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Schema definition for an optional GeoJSON point (fresh object per schema)
+const geoPointField = () => ({
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+});
+
+module.exports = { parseNumber, isValidCoordinates, toPoint, hasPoint, haversineKm, geoPointField };
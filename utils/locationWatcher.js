@@ -1,5 +1,214 @@
-const startLocationWatcher = () => {
-    console.log('[MOCK] Location watcher started');
+const mongoose = require('mongoose');
+const DonorLocation = require('../models/DonorLocation');
+const DonationHistory = require('../models/DonationHistory');
+const BloodRequest = require('../models/BloodRequest');
+const { hasPoint, haversineKm } = require('./geo');
+const { etaMinutes } = require('./eta');
+
+// At most one position event per donor per window; the latest fix in a window is sent when it ends
+const THROTTLE_MS = Number(process.env.LOCATION_STREAM_THROTTLE_MS) || 5 * 1000;
+// A donor inside this distance of the hospital counts as arrived
+const ARRIVAL_RADIUS_KM = Number(process.env.LOCATION_ARRIVAL_RADIUS_KM) || 0.2;
+const KEEPALIVE_MS = 25 * 1000;
+
+// requestId -> { clients: Set<res>, hospitalPoint, speedKmh, donors: Map<donorId, state>, keepalive }
+const streams = new Map();
+// True while change streams deliver saves from every instance; local publishes are skipped then
+let watching = false;
+const changeStreams = [];
+
+const writeEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const broadcast = (stream, event, data) => {
+    stream.clients.forEach(res => writeEvent(res, event, data));
+};
+
+const donorState = (stream, donorId) => {
+    if (!stream.donors.has(donorId)) {
+        stream.donors.set(donorId, { lastSentAt: 0, timer: null, pending: null, arrived: false, completed: false });
+    }
+    return stream.donors.get(donorId);
+};
+
+const round = (value, places) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+const positionEvent = (stream, loc) => {
+    const distance = stream.hospitalPoint && hasPoint(loc) ? haversineKm(stream.hospitalPoint, loc.location) : null;
+    return {
+        requestId: String(loc.requestId),
+        donorId: String(loc.donorId),
+        lat: loc.location.coordinates[1],
+        lng: loc.location.coordinates[0],
+        accuracy: loc.accuracy === undefined ? null : loc.accuracy,
+        distanceKm: round(distance, 2),
+        etaMinutes: etaMinutes(distance, stream.speedKmh),
+        timestamp: loc.timestamp,
+        shareCount: loc.shareCount
+    };
+};
+
+const sendPosition = (stream, state, data) => {
+    state.lastSentAt = Date.now();
+    state.pending = null;
+    broadcast(stream, 'position', data);
+
+    if (!state.arrived && data.distanceKm !== null && data.distanceKm <= ARRIVAL_RADIUS_KM) {
+        state.arrived = true;
+        broadcast(stream, 'arrival', { requestId: data.requestId, donorId: data.donorId, distanceKm: data.distanceKm, at: new Date() });
+    }
+};
+
+// Pushes a saved DonorLocation to the hospitals watching its request
+const emitLocation = (loc) => {
+    const stream = streams.get(String(loc.requestId));
+    if (!stream || !hasPoint(loc)) return;
+
+    const state = donorState(stream, String(loc.donorId));
+    if (state.completed) return;
+
+    const data = positionEvent(stream, loc);
+    const wait = state.lastSentAt + THROTTLE_MS - Date.now();
+    if (wait <= 0) return sendPosition(stream, state, data);
+
+    // Inside the window: keep only the newest fix and flush it when the window ends
+    state.pending = data;
+    if (!state.timer) {
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            if (state.pending && !state.completed) sendPosition(stream, state, state.pending);
+        }, wait);
+    }
+};
+
+// Stops the donor's updates on this request's stream once their donation is recorded
+const emitDonationCompleted = (requestId, donorId) => {
+    const stream = streams.get(String(requestId));
+    if (!stream) return;
+
+    const state = donorState(stream, String(donorId));
+    if (state.completed) return;
+    state.completed = true;
+    state.pending = null;
+    clearTimeout(state.timer);
+    state.timer = null;
+    broadcast(stream, 'completed', { requestId: String(requestId), donorId: String(donorId), at: new Date() });
 };
 
-module.exports = { startLocationWatcher };
+const dropStream = (requestId) => {
+    const stream = streams.get(requestId);
+    if (!stream) return;
+    clearInterval(stream.keepalive);
+    stream.donors.forEach(state => clearTimeout(state.timer));
+    streams.delete(requestId);
+};
+
+// Opens an SSE response scoped to one blood request.
+// context: { hospitalPoint, speedKmh } used for distance and ETA on every position.
+const subscribe = (requestId, context, req, res) => {
+    const key = String(requestId);
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    let stream = streams.get(key);
+    if (!stream) {
+        stream = { clients: new Set(), donors: new Map(), keepalive: null };
+        stream.keepalive = setInterval(() => stream.clients.forEach(client => client.write(': ping\n\n')), KEEPALIVE_MS);
+        streams.set(key, stream);
+    }
+    stream.hospitalPoint = context.hospitalPoint;
+    stream.speedKmh = context.speedKmh;
+    stream.clients.add(res);
+
+    req.on('close', () => {
+        stream.clients.delete(res);
+        if (stream.clients.size === 0 && streams.get(key) === stream) dropStream(key);
+    });
+
+    return {
+        send: (event, data) => writeEvent(res, event, data),
+        position: (loc) => positionEvent(stream, loc),
+        markCompleted: (donorId) => { donorState(stream, String(donorId)).completed = true; }
+    };
+};
+
+// Tells every subscriber the request has closed and ends their responses
+const endRequestStream = (requestId, reason) => {
+    const key = String(requestId);
+    const stream = streams.get(key);
+    if (!stream) return;
+    broadcast(stream, 'end', { requestId: key, reason, at: new Date() });
+    stream.clients.forEach(res => res.end());
+    dropStream(key);
+};
+
+// Called by the routes after a write; skipped while change streams deliver the same write
+const publishLocation = (loc) => {
+    if (!watching) emitLocation(loc);
+};
+
+const publishDonationCompleted = (requestId, donorId) => {
+    if (!watching) emitDonationCompleted(requestId, donorId);
+};
+
+const publishRequestClosed = (requestId, status) => {
+    if (!watching) endRequestStream(requestId, status);
+};
+
+// Change streams need a replica set; on a standalone server the routes publish in-process instead
+const watchCollection = (Model, pipeline, onChange) => {
+    const changeStream = Model.watch(pipeline, { fullDocument: 'updateLookup' });
+    changeStream.on('change', (change) => {
+        if (change.fullDocument) onChange(change.fullDocument);
+    });
+    changeStream.on('error', (err) => {
+        if (!watching) return;
+        console.error(`⚠️  ${Model.modelName} change stream stopped, publishing location updates in-process:`, err.message);
+        watching = false;
+        changeStreams.splice(0).forEach(cs => cs.close().catch(() => {}));
+    });
+    changeStreams.push(changeStream);
+};
+
+const startLocationWatcher = async () => {
+    if (mongoose.connection.readyState !== 1) return;
+    try {
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        if (!hello.setName && hello.msg !== 'isdbgrid') {
+            console.log('📍 Location stream publishing in-process (no replica set for change streams)');
+            return;
+        }
+
+        const saves = { operationType: { $in: ['insert', 'update', 'replace'] } };
+        watchCollection(DonorLocation, [{ $match: saves }], emitLocation);
+        watchCollection(
+            DonationHistory,
+            [{ $match: { ...saves, 'fullDocument.status': 'completed' } }],
+            (history) => emitDonationCompleted(history.bloodRequestId, history.donorId)
+        );
+        watchCollection(
+            BloodRequest,
+            [{ $match: { operationType: 'update', 'fullDocument.status': { $ne: 'active' } } }],
+            (request) => endRequestStream(request._id, request.status)
+        );
+        watching = true;
+        console.log('📍 Location stream watching donor location changes');
+    } catch (err) {
+        console.error('⚠️  Could not start location change streams, publishing in-process:', err.message);
+    }
+};
+
+module.exports = {
+    THROTTLE_MS,
+    ARRIVAL_RADIUS_KM,
+    startLocationWatcher,
+    subscribe,
+    publishLocation,
+    publishDonationCompleted,
+    publishRequestClosed
+};
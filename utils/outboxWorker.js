@@ -0,0 +1,221 @@
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const OutboxMessage = require('../models/OutboxMessage');
+const BloodRequest = require('../models/BloodRequest');
+const ResponseToken = require('../models/ResponseToken');
+const Notification = require('../models/Notification');
+const { sendSMS } = require('../services/smsService');
+const { broadcastNotification } = require('./notificationStream');
+const { isOptedOut } = require('./consent');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+const POLL_INTERVAL_MS = Number(process.env.OUTBOX_INTERVAL_MS) || 15 * 1000;
+const LEASE_MS = 60 * 1000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+const MAX_MESSAGES_PER_TICK = 100;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+
+let running = false;
+
+// Adds messages to the outbox. Pass the session when enqueueing as part of a larger write.
+const enqueueMessages = (messages, session = null) => {
+    if (messages.length === 0) return Promise.resolve([]);
+    const docs = messages.map(message => ({ maxAttempts: MAX_ATTEMPTS, ...message }));
+    return OutboxMessage.insertMany(docs, session ? { session } : {});
+};
+
+// Pending messages for a closed request are no longer worth sending
+const cancelPendingMessages = (requestId) => {
+    return OutboxMessage.updateMany(
+        { requestId, kind: 'blood_request', status: 'pending' },
+        { $set: { status: 'cancelled', lastError: 'Request closed before delivery' } }
+    );
+};
+
+// Drop anything still waiting for these donors, e.g. after they reply STOP
+const cancelMessagesForDonors = (donorIds, reason) => {
+    return OutboxMessage.updateMany(
+        { donorId: { $in: donorIds }, status: 'pending' },
+        { $set: { status: 'cancelled', lastError: reason } }
+    );
+};
+
+const claimNextMessage = () => {
+    const now = new Date();
+    return OutboxMessage.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'processing', lockedUntil: { $lt: now } }
+            ]
+        },
+        { $set: { status: 'processing', lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+const releaseMessage = (message, set) => {
+    return OutboxMessage.updateOne(
+        { _id: message._id, lockedBy: INSTANCE_ID },
+        { $set: { ...set, lockedBy: null, lockedUntil: null } }
+    );
+};
+
+const backoffDelay = (attempts) => Math.min(BASE_BACKOFF_MS * Math.pow(2, attempts - 1), MAX_BACKOFF_MS);
+
+// A donor whose request SMS never went out was not really notified: give the slot back
+// by moving them to the end of the queue. Only once per donor and request, so a bad
+// number cannot loop forever.
+const requeueDonor = async (message) => {
+    if (message.kind !== 'blood_request' || !message.donorId || !message.requestId) return false;
+
+    const alreadyRequeued = await OutboxMessage.exists({
+        requestId: message.requestId,
+        donorId: message.donorId,
+        donorRequeued: true
+    });
+    if (alreadyRequeued) return false;
+
+    const result = await BloodRequest.updateOne(
+        { _id: message.requestId, status: 'active', notifiedDonors: message.donorId },
+        {
+            $pull: { notifiedDonors: message.donorId },
+            $push: { remainingDonorsQueue: message.donorId }
+        }
+    );
+    if (!result.modifiedCount) return false;
+
+    await ResponseToken.updateMany(
+        { requestId: message.requestId, donorId: message.donorId, isUsed: false, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    await OutboxMessage.updateOne({ _id: message._id }, { $set: { donorRequeued: true } });
+
+    // The dispatch job stops once the queue runs dry; wake it up for the returned donor
+    const DispatchJob = require('../models/DispatchJob');
+    const { scheduleDispatch } = require('./batchScheduler');
+    const job = await DispatchJob.findOne({ requestId: message.requestId }).lean();
+    if (job && job.status === 'completed' && job.completedReason === 'queue_empty') {
+        await scheduleDispatch(message.requestId, new Date());
+    }
+    return true;
+};
+
+// Record the SMS outcome on the donor's response token for this request
+const markTokenChannel = (message, status, { reference, error } = {}) => {
+    if (message.kind !== 'blood_request' || !message.donorId) return Promise.resolve();
+    return ResponseToken.updateOne(
+        { requestId: message.requestId, donorId: message.donorId, revokedAt: null, 'channels.channel': 'sms' },
+        { $set: { 'channels.$.status': status, 'channels.$.reference': reference, 'channels.$.error': error } }
+    ).catch(err => console.error('[Outbox] Failed to update response token channel:', err.message));
+};
+
+const notifySent = async (message) => {
+    try {
+        const request = await BloodRequest.findById(message.requestId, 'hospitalId');
+        if (!request) return;
+        const notif = await Notification.create({
+            hospitalId: request.hospitalId,
+            type: 'info',
+            title: 'SMS Sent (Batch)',
+            message: `SMS sent to ${message.to}`,
+            meta: { bloodRequestId: message.requestId, donorId: message.donorId, smsId: message.smsMessageId }
+        });
+        broadcastNotification(notif);
+    } catch (e) {
+        console.error('Failed to create notification', e);
+    }
+};
+
+const deliverMessage = async (message) => {
+    // Don't text donors about a request that closed while the message waited
+    if (message.kind === 'blood_request' && message.requestId) {
+        const request = await BloodRequest.findById(message.requestId, 'status').lean();
+        if (!request || request.status !== 'active') {
+            await releaseMessage(message, { status: 'cancelled', lastError: 'Request closed before delivery' });
+            return;
+        }
+    }
+
+    if (message.donorId && await isOptedOut(message.donorId)) {
+        await releaseMessage(message, { status: 'cancelled', lastError: 'Donor opted out' });
+        return;
+    }
+
+    const attempts = message.attempts + 1;
+    let result;
+    try {
+        result = await sendSMS(message.to, message.body, {
+            donorId: message.donorId,
+            requestId: message.requestId,
+            kind: message.kind
+        });
+    } catch (err) {
+        result = { success: false, error: err.message };
+    }
+
+    if (result.success) {
+        await releaseMessage(message, { status: 'sent', attempts, sentAt: new Date(), smsMessageId: result.messageId });
+        await markTokenChannel(message, 'sent', { reference: result.messageId && String(result.messageId) });
+        if (message.kind === 'blood_request') {
+            message.smsMessageId = result.messageId;
+            await notifySent(message);
+        }
+        return;
+    }
+
+    // Permanent errors (invalid number, opted out at the carrier) will not improve with retries
+    if (attempts >= message.maxAttempts || result.retryable === false) {
+        await releaseMessage(message, { status: 'dead', attempts, lastError: result.error, smsMessageId: result.messageId });
+        await markTokenChannel(message, 'failed', { error: result.error });
+        const requeued = await requeueDonor(message);
+        console.error(`[Outbox] Message ${message._id} dead after ${attempts} attempt(s): ${result.error}${requeued ? ' (donor requeued)' : ''}`);
+        return;
+    }
+
+    const nextAttemptAt = new Date(Date.now() + backoffDelay(attempts));
+    await releaseMessage(message, { status: 'pending', attempts, nextAttemptAt, lastError: result.error });
+    console.warn(`[Outbox] Message ${message._id} failed (attempt ${attempts}), retrying at ${nextAttemptAt.toISOString()}`);
+};
+
+const processOutbox = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+        for (let i = 0; i < MAX_MESSAGES_PER_TICK; i++) {
+            const message = await claimNextMessage();
+            if (!message) break;
+            await deliverMessage(message);
+        }
+    } catch (err) {
+        console.error('[Outbox] Error processing outbox:', err.message);
+    } finally {
+        running = false;
+    }
+};
+
+// Put a dead message back in the queue (admin action)
+const retryMessage = (id) => {
+    return OutboxMessage.findOneAndUpdate(
+        { _id: id, status: 'dead' },
+        { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() }, $unset: { lastError: '' } },
+        { new: true }
+    );
+};
+
+const startOutboxWorker = () => {
+    setInterval(processOutbox, POLL_INTERVAL_MS);
+    setTimeout(processOutbox, 5000);
+    console.log(`✅ SMS outbox worker started (${POLL_INTERVAL_MS / 1000}s interval, max ${MAX_ATTEMPTS} attempts)`);
+};
+
+module.exports = {
+    startOutboxWorker,
+    enqueueMessages,
+    cancelPendingMessages,
+    cancelMessagesForDonors,
+    processOutbox,
+    retryMessage
+};
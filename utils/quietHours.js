@@ -0,0 +1,47 @@
+// Quiet-hours checks for donor messaging. Times in Settings are "HH:MM" wall-clock
+// times in the server's configured timezone, not the host's.
+const TIMEZONE = process.env.APP_TIMEZONE || 'Asia/Kolkata';
+const MINUTES_PER_DAY = 24 * 60;
+
+const parseTime = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+};
+
+const localMinutes = (date, timeZone = TIMEZONE) => {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const get = (type) => Number(parts.find(p => p.type === type).value);
+    return get('hour') * 60 + get('minute');
+};
+
+// Windows may wrap midnight, e.g. 20:00-06:00
+const isWithinWindow = (date, startTime, endTime, timeZone = TIMEZONE) => {
+    const start = parseTime(startTime);
+    const end = parseTime(endTime);
+    if (start === null || end === null || start === end) return true;
+
+    const now = localMinutes(date, timeZone);
+    return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+// Next moment the window opens (returns `date` itself if it is already open)
+const nextAllowedTime = (date, startTime, endTime, timeZone = TIMEZONE) => {
+    if (isWithinWindow(date, startTime, endTime, timeZone)) return date;
+
+    const start = parseTime(startTime);
+    const minutesUntilStart = (start - localMinutes(date, timeZone) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const next = new Date(date.getTime() + minutesUntilStart * 60 * 1000);
+    next.setSeconds(0, 0);
+    return next;
+};
+
+module.exports = { TIMEZONE, parseTime, isWithinWindow, nextAllowedTime };
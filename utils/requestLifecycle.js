@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const Donor = require('../models/Donor');
+const DonationHistory = require('../models/DonationHistory');
+const Hospital = require('../models/Hospital');
+const ResponseToken = require('../models/ResponseToken');
+const OutboxMessage = require('../models/OutboxMessage');
+const { cancelDispatch } = require('./batchScheduler');
+const { enqueueMessages, cancelPendingMessages, processOutbox } = require('./outboxWorker');
+const { publishRequestClosed } = require('./locationWatcher');
+
+// Allowed blood request status changes. `cancelled` is final; fulfilled and expired
+// requests can go back to active when quantity is raised or the request is reopened.
+const TRANSITIONS = {
+    active: ['fulfilled', 'expired', 'cancelled'],
+    fulfilled: ['active', 'cancelled'],
+    expired: ['active', 'cancelled'],
+    cancelled: []
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const historyEntry = (status, { by = null, byRole = 'system', reason } = {}) => ({
+    status, at: new Date(), by, byRole, reason
+});
+
+// Applies the status change and appends it to the request's history (caller saves)
+const applyStatus = (request, status, meta) => {
+    request.status = status;
+    request.statusHistory.push(historyEntry(status, meta));
+    return request;
+};
+
+// Tell donors who already got an SMS that they no longer need to come in
+const notifyDonorsOfClosure = async (request, status) => {
+    const hospitalName = request.hospitalId && request.hospitalId.name
+        ? request.hospitalId.name
+        : ((await Hospital.findById(request.hospitalId, 'name')) || {}).name || 'the hospital';
+
+    const message = status === 'cancelled'
+        ? `Update: the ${request.bloodGroup} blood request at ${hospitalName} has been cancelled. No need to respond. Thank you.`
+        : `Update: the ${request.bloodGroup} blood request at ${hospitalName} has been fulfilled. Thank you for your support.`;
+
+    // Skip donors whose request SMS was still waiting in the outbox when it closed
+    const skip = await OutboxMessage.distinct('donorId', { requestId: request._id, kind: 'blood_request', status: 'cancelled' });
+    // Donors who accepted are counted in the fulfilled units and are still expected to come in
+    if (status === 'fulfilled') {
+        const coming = await DonationHistory.distinct('donorId', { bloodRequestId: request._id, status: { $in: ['accepted', 'completed'] } });
+        skip.push(...coming.filter(id => mongoose.Types.ObjectId.isValid(id)));
+    }
+    const donors = await Donor.find({ _id: { $in: request.notifiedDonors, $nin: skip } }, 'phone');
+    await enqueueMessages(donors
+        .filter(donor => donor.phone)
+        .map(donor => ({
+            to: donor.phone,
+            body: message,
+            donorId: donor._id,
+            requestId: request._id,
+            kind: 'request_update'
+        })));
+    processOutbox();
+};
+
+// Side effects of a request closing: stop dispatch, void outstanding response links,
+// end live location streams, and tell notified donors when it was cancelled or filled.
+// Donors only hear about it when it leaves `active`; cancelling an already expired or
+// fulfilled request must not send them a second notice. Returns the number of tokens revoked.
+const finalizeClosure = async (request, status, previousStatus = 'active') => {
+    await cancelDispatch(request._id, status);
+    await cancelPendingMessages(request._id);
+    publishRequestClosed(request._id, status);
+    const revoked = await ResponseToken.updateMany(
+        { requestId: request._id, isUsed: false, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+
+    if (previousStatus === 'active' && (status === 'cancelled' || status === 'fulfilled')) {
+        notifyDonorsOfClosure(request, status)
+            .catch(err => console.error(`Failed to notify donors of ${status} request ${request._id}`, err));
+    }
+    return revoked.modifiedCount || 0;
+};
+
+const closeRequest = async (request, status, meta) => {
+    const previousStatus = request.status;
+    applyStatus(request, status, meta);
+    await request.save();
+    await finalizeClosure(request, status, previousStatus);
+    return request;
+};
+
+// Flip one request out of `active`. The status filter means that when the sweeper,
+// a page load and a confirmation race to close the same request, only one gets it back.
+const claimClosure = (requestId, status, meta) => {
+    return BloodRequest.findOneAndUpdate(
+        { _id: requestId, status: 'active' },
+        { $set: { status, batchInProgress: false }, $push: { statusHistory: historyEntry(status, meta) } },
+        { new: true }
+    );
+};
+
+// Closes an active request unless someone else already has; resolves to the closed request or null
+const closeIfActive = async (requestId, status, meta) => {
+    const request = await claimClosure(requestId, status, meta);
+    if (request) await finalizeClosure(request, status);
+    return request;
+};
+
+module.exports = { TRANSITIONS, canTransition, historyEntry, applyStatus, finalizeClosure, closeRequest, claimClosure, closeIfActive };
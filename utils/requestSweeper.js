@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const Notification = require('../models/Notification');
+const { broadcastNotification } = require('./notificationStream');
+const { claimClosure, finalizeClosure } = require('./requestLifecycle');
+
+const SWEEP_INTERVAL_MS = Number(process.env.REQUEST_SWEEP_INTERVAL_MS) || 5 * 60 * 1000;
+const MAX_REQUESTS_PER_SWEEP = 200;
+
+let sweeping = false;
+
+const notifyHospital = async (request, revokedTokens) => {
+    const fulfilled = request.status === 'fulfilled';
+    const notif = await Notification.create({
+        hospitalId: request.hospitalId,
+        type: fulfilled ? 'success' : 'warning',
+        title: fulfilled ? 'Blood Request Fulfilled' : 'Blood Request Expired',
+        message: `${request.bloodGroup} request closed as ${request.status}: ${request.confirmedUnits} of ${request.quantity} unit(s) confirmed. ${request.notifiedDonors.length} donor(s) were contacted.`,
+        bloodRequestId: request._id,
+        meta: {
+            bloodRequestId: request._id,
+            confirmedUnits: request.confirmedUnits,
+            quantity: request.quantity,
+            revokedTokens
+        }
+    });
+    broadcastNotification(notif);
+};
+
+const sweepRequests = async () => {
+    if (sweeping || mongoose.connection.readyState !== 1) return;
+    sweeping = true;
+    try {
+        const now = new Date();
+        const stale = await BloodRequest.find(
+            {
+                status: 'active',
+                $or: [
+                    { requiredBy: { $lt: now } },
+                    { $expr: { $gte: ['$confirmedUnits', '$quantity'] } }
+                ]
+            },
+            '_id requiredBy confirmedUnits quantity'
+        ).limit(MAX_REQUESTS_PER_SWEEP).lean();
+
+        let closed = 0;
+        for (const candidate of stale) {
+            const status = candidate.confirmedUnits >= candidate.quantity ? 'fulfilled' : 'expired';
+            const reason = status === 'fulfilled' ? 'all units confirmed' : 'requiredBy passed';
+            try {
+                const request = await claimClosure(candidate._id, status, { reason });
+                if (!request) continue;
+
+                const revokedTokens = await finalizeClosure(request, status);
+                await notifyHospital(request, revokedTokens);
+                closed++;
+            } catch (err) {
+                console.error(`[Sweeper] Failed to close request ${candidate._id}:`, err.message);
+            }
+        }
+
+        if (closed > 0) {
+            console.log(`[Sweeper] Closed ${closed} overdue/filled request(s)`);
+        }
+    } catch (err) {
+        console.error('[Sweeper] Error sweeping blood requests:', err.message);
+    } finally {
+        sweeping = false;
+    }
+};
+
+const startRequestSweeper = () => {
+    setInterval(sweepRequests, SWEEP_INTERVAL_MS);
+    setTimeout(sweepRequests, 15000);
+    console.log(`✅ Blood request sweeper started (${SWEEP_INTERVAL_MS / 1000}s interval)`);
+};
+
+module.exports = { startRequestSweeper, sweepRequests };
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const ResponseToken = require('../models/ResponseToken');
+
+// Donor-facing tracker app that hosts the response page
+const RESPONSE_BASE_URL = (process.env.RESPONSE_BASE_URL || 'https://innovate-tracker2.vercel.app').replace(/\/$/, '');
+
+// 24 random bytes -> 32 URL-safe characters
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// What to tell a donor whose link can't be used
+const TOKEN_ERROR_MESSAGES = {
+    invalid: 'This link is not valid.',
+    not_found: 'This link is not valid.',
+    expired: 'This link has expired.',
+    revoked: 'This blood request is no longer open.',
+    used: 'You have already responded to this request.'
+};
+
+const generateResponseToken = () => crypto.randomBytes(24).toString('base64url');
+
+// The token identifies the donor, so every link sent out must carry one
+const buildResponseUrl = (requestId, token) =>
+    token ? `${RESPONSE_BASE_URL}/${requestId}?token=${token}` : `${RESPONSE_BASE_URL}/${requestId}`;
+
+// Looks up a donor's response token and checks it can still be used.
+// Resolves to { token } or { error, status } where error is one of
+// invalid | not_found | expired | revoked | used.
+// `allowAccepted` lets a donor who already said yes keep using the link (e.g. to share location).
+const resolveResponseToken = async (value, { allowAccepted = false } = {}) => {
+    if (typeof value !== 'string' || !TOKEN_PATTERN.test(value)) {
+        return { error: 'invalid', status: 400 };
+    }
+
+    const token = await ResponseToken.findOne({ token: value });
+    if (!token) return { error: 'not_found', status: 404 };
+
+    // The TTL monitor only runs once a minute, so check expiry ourselves too
+    const expiresAt = new Date(token.createdAt.getTime() + ResponseToken.TTL_SECONDS * 1000);
+    if (expiresAt <= new Date()) return { error: 'expired', status: 410 };
+    if (token.revokedAt) return { error: 'revoked', status: 410 };
+    if (token.isUsed && !(allowAccepted && token.response === 'accepted')) {
+        return { error: 'used', status: 410 };
+    }
+    return { token, expiresAt };
+};
+
+module.exports = {
+    RESPONSE_BASE_URL,
+    TOKEN_PATTERN,
+    TOKEN_ERROR_MESSAGES,
+    generateResponseToken,
+    buildResponseUrl,
+    resolveResponseToken
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const ShortLink = require('../models/ShortLink');
+
+// Short links live a little longer than the response token so late opens still show up
+const LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const CLICK_HISTORY_LIMIT = 20;
+
+// Messaging apps fetch links to build previews; those are not the donor opening it
+const BOT_PATTERN = /bot|crawler|spider|preview|facebookexternalhit|whatsapp|telegram|slack|discord|skype/i;
+
+// Where /r/:code is served from. Without a public base URL we can't shorten.
+const shortLinkBase = () => {
+    const base = process.env.SHORT_LINK_BASE_URL || process.env.PUBLIC_BASE_URL;
+    return base ? base.replace(/\/$/, '') : null;
+};
+
+// 6 random bytes -> 8 URL-safe characters
+const generateCode = () => crypto.randomBytes(6).toString('base64url');
+
+// Builds (but does not save) a short link document and the URL to put in the message.
+// Falls back to the full URL when short links aren't configured.
+const prepareShortLink = ({ targetUrl, requestId, donorId, token }) => {
+    const base = shortLinkBase();
+    if (!base) return { url: targetUrl, doc: null };
+
+    const code = generateCode();
+    return {
+        url: `${base}/r/${code}`,
+        doc: { code, targetUrl, requestId, donorId, token, expiresAt: new Date(Date.now() + LINK_TTL_MS) }
+    };
+};
+
+const saveShortLinks = (docs, session = null) => {
+    const links = docs.filter(Boolean);
+    if (links.length === 0) return Promise.resolve([]);
+    return ShortLink.insertMany(links, session ? { session } : {});
+};
+
+// The short URL already issued for a response token, or the full URL if there is none
+const shortUrlForToken = async (token, fallbackUrl) => {
+    const base = shortLinkBase();
+    if (!base) return fallbackUrl;
+    const link = await ShortLink.findOne({ token }, 'code').lean();
+    return link ? `${base}/r/${link.code}` : fallbackUrl;
+};
+
+// Records a click and returns the link, or null when the code is unknown or expired
+const recordClick = (code, userAgent = '') => {
+    const now = new Date();
+    const bot = BOT_PATTERN.test(userAgent);
+    const update = {
+        $push: { clicks: { $each: [{ at: now, userAgent: userAgent.slice(0, 300), bot }], $slice: -CLICK_HISTORY_LIMIT } }
+    };
+    if (!bot) {
+        update.$inc = { clickCount: 1 };
+        update.$set = { lastClickedAt: now };
+        update.$min = { firstClickedAt: now };
+    }
+    return ShortLink.findOneAndUpdate({ code, expiresAt: { $gt: now } }, update, { new: true })
+        .then(link => (link ? { link, bot } : null));
+};
+
+module.exports = { prepareShortLink, saveShortLinks, shortUrlForToken, recordClick };
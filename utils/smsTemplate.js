@@ -0,0 +1,134 @@
+const { TIMEZONE } = require('./quietHours');
+
+// Placeholders a donor SMS template may use; sendNextBatch fills all of them
+const PLACEHOLDERS = ['hospital', 'bloodType', 'quantity', 'urgency', 'donorName', 'responseUrl', 'requiredBy'];
+
+const PLACEHOLDER_PATTERN = /\{(\w*)\}/g;
+
+// Languages donors can receive SMS in, keyed by ISO 639-1 code
+const LANGUAGE_NAMES = {
+    en: 'English',
+    hi: 'Hindi',
+    bn: 'Bengali',
+    mr: 'Marathi',
+    te: 'Telugu',
+    ta: 'Tamil',
+    gu: 'Gujarati',
+    kn: 'Kannada',
+    ml: 'Malayalam',
+    pa: 'Punjabi',
+    or: 'Odia',
+    ur: 'Urdu'
+};
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_NAMES);
+const DEFAULT_LANGUAGE = 'en';
+
+// Accepts a code ('hi') or an English name ('Hindi'); returns null if unsupported
+const normalizeLanguage = (value) => {
+    if (!value) return null;
+    const key = String(value).trim().toLowerCase();
+    if (SUPPORTED_LANGUAGES.includes(key)) return key;
+    return SUPPORTED_LANGUAGES.find(code => LANGUAGE_NAMES[code].toLowerCase() === key) || null;
+};
+
+// Segment limits: GSM-7 fits 160 chars (153 per part when split),
+// anything outside it forces UCS-2 at 70 (67 per part)
+const SEGMENT_LIMITS = {
+    'GSM-7': { single: 160, multi: 153 },
+    'UCS-2': { single: 70, multi: 67 }
+};
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+const URGENCY_LABELS = {
+    pregnancy: 'PREGNANCY EMERGENCY - URGENT',
+    high: 'HIGH PRIORITY - EMERGENCY',
+    medium: 'MEDIUM PRIORITY',
+    low: 'LOW PRIORITY'
+};
+
+// Which Settings template a request of this urgency uses
+const templatePriority = (urgency) => {
+    if (urgency === 'pregnancy') return 'pregnancy';
+    if (urgency === 'high') return 'high';
+    return 'normal';
+};
+
+const buildTemplateVars = (request, { hospitalName, donorName, responseUrl }) => ({
+    hospital: hospitalName,
+    bloodType: request.bloodGroup,
+    quantity: request.quantity,
+    urgency: URGENCY_LABELS[request.urgency] || URGENCY_LABELS.low,
+    donorName,
+    responseUrl,
+    requiredBy: request.requiredBy
+        ? new Date(request.requiredBy).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short', timeZone: TIMEZONE })
+        : ''
+});
+
+// Render and make sure the donor always gets a link to respond
+const composeMessage = (template, vars) => {
+    let message = renderTemplate(template, vars);
+    if (vars.responseUrl && !message.includes(vars.responseUrl)) {
+        message += ` Respond: ${vars.responseUrl}`;
+    }
+    return message;
+};
+
+// Returns a list of problems; an empty list means the template can be saved
+const validateTemplate = (template) => {
+    const errors = [];
+    if (typeof template !== 'string' || !template.trim()) {
+        return ['Template must be a non-empty string'];
+    }
+
+    const unknown = [...template.matchAll(PLACEHOLDER_PATTERN)]
+        .map(match => match[1])
+        .filter(name => !PLACEHOLDERS.includes(name));
+    if (unknown.length) {
+        errors.push(`Unknown placeholder(s): ${[...new Set(unknown)].map(n => `{${n}}`).join(', ')}`);
+    }
+
+    const stripped = template.replace(PLACEHOLDER_PATTERN, '');
+    if (stripped.includes('{') || stripped.includes('}')) {
+        errors.push('Unbalanced { or } in template');
+    }
+    return errors;
+};
+
+// Replaces every occurrence of each known placeholder; unknown ones are left as-is
+const renderTemplate = (template, vars) => {
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) =>
+        Object.prototype.hasOwnProperty.call(vars, name) && vars[name] !== undefined && vars[name] !== null
+            ? String(vars[name])
+            : match
+    );
+};
+
+const countSegments = (text) => {
+    const chars = [...text];
+    const isGsm = chars.every(ch => GSM7_BASIC.includes(ch) || GSM7_EXTENDED.includes(ch));
+    const encoding = isGsm ? 'GSM-7' : 'UCS-2';
+
+    // Extended GSM characters take an escape plus the character; UCS-2 counts UTF-16 units
+    const length = isGsm
+        ? chars.reduce((sum, ch) => sum + (GSM7_EXTENDED.includes(ch) ? 2 : 1), 0)
+        : text.length;
+    const limits = SEGMENT_LIMITS[encoding];
+    const segments = length <= limits.single ? 1 : Math.ceil(length / limits.multi);
+    return { length, segments, encoding };
+};
+
+module.exports = {
+    PLACEHOLDERS,
+    LANGUAGE_NAMES,
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    normalizeLanguage,
+    templatePriority,
+    buildTemplateVars,
+    validateTemplate,
+    renderTemplate,
+    composeMessage,
+    countSegments
+};
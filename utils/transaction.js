@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+let transactionsSupported = true;
+
+// Runs `work(session)` inside a transaction. Standalone MongoDB (typical for local
+// development) has no transactions, so there we fall back to running without one.
+const withTransaction = async (work) => {
+    if (transactionsSupported) {
+        const session = await mongoose.startSession();
+        try {
+            let result;
+            await session.withTransaction(async () => {
+                result = await work(session);
+            });
+            return result;
+        } catch (err) {
+            // 20 = IllegalOperation: "Transaction numbers are only allowed on a replica set member or mongos"
+            if (err.code !== 20 && !/replica set|Transaction numbers/i.test(err.message)) throw err;
+            transactionsSupported = false;
+            console.warn('[DB] MongoDB transactions unavailable (not a replica set). Writes will not be atomic.');
+        } finally {
+            await session.endSession();
+        }
+    }
+    return work(null);
+};
+
+module.exports = { withTransaction };